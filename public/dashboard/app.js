@@ -0,0 +1,348 @@
+/**
+ * Gateway dashboard
+ * Reads the admin SSE stream with fetch() (EventSource cannot send an
+ * Authorization header) and calls the admin API for changes
+ */
+
+const TOKEN_KEY = 'gateway-dashboard-token';
+const MAX_EVENTS = 100;
+const RECONNECT_MAX_MS = 30000;
+
+const $ = (id) => document.getElementById(id);
+
+let token = sessionStorage.getItem(TOKEN_KEY);
+let controller = null;
+let reconnectDelay = 1000;
+let routes = {};
+let selectedRoute = null;
+let routeDirty = false;
+
+/**
+ * Build an element; children are strings (rendered as text) or nodes
+ */
+function el(tag, attributes = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (name === 'onclick') node.addEventListener('click', value);
+    else if (value !== undefined && value !== null && value !== false) node.setAttribute(name, value);
+  });
+  children.flat().forEach(child => node.append(child instanceof Node ? child : String(child ?? '')));
+  return node;
+}
+
+const format = (value, digits = 1) => value === null || value === undefined ? '-' : Number(value).toFixed(digits);
+
+function toast(message, isError = false) {
+  const box = $('toast');
+  box.textContent = message;
+  box.className = isError ? 'error' : '';
+  box.hidden = false;
+  clearTimeout(toast.timer);
+  toast.timer = setTimeout(() => { box.hidden = true; }, 4000);
+}
+
+function setConnection(state) {
+  const badge = $('connection');
+  badge.textContent = state;
+  badge.className = `badge ${state === 'live' ? 'ok' : state === 'connecting' ? 'warn' : 'off'}`;
+}
+
+function showLogin(message = '') {
+  if (controller) controller.abort();
+  $('login').hidden = false;
+  $('dashboard').hidden = true;
+  $('logout').hidden = true;
+  $('login-error').textContent = message;
+  setConnection('disconnected');
+}
+
+/**
+ * Call the admin API
+ */
+async function api(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body !== undefined && { 'Content-Type': 'application/json' })
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 401 || response.status === 403) {
+    showLogin(data.error || 'Not authorized');
+  }
+  if (!response.ok) {
+    const details = data.details ? `\n${[].concat(data.details).join('\n')}` : '';
+    throw new Error(`${data.error || `HTTP ${response.status}`}${details}`);
+  }
+  return data;
+}
+
+// === Rendering ===
+
+function trafficRow(name, stats, sub = false) {
+  return el('tr', { class: sub ? 'sub' : null },
+    el('td', {}, name),
+    el('td', { class: 'num' }, stats.requests),
+    el('td', { class: 'num' }, format(stats.requestsPerSecond, 2)),
+    el('td', { class: 'num' }, format(stats.errorRate, 2)),
+    el('td', { class: 'num' }, format(stats.clientErrorRate, 2)),
+    el('td', { class: 'num' }, format(stats.latency.p50)),
+    el('td', { class: 'num' }, format(stats.latency.p95)),
+    el('td', { class: 'num' }, format(stats.latency.p99))
+  );
+}
+
+function renderTraffic(traffic) {
+  const rows = Object.entries(traffic.routes)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .flatMap(([route, stats]) => [
+      trafficRow(route === 'none' ? '(no route)' : route, stats),
+      ...Object.entries(stats.upstreams).map(([upstream, upstreamStats]) =>
+        trafficRow(upstream === 'none' ? 'answered by gateway' : upstream, upstreamStats, true))
+    ]);
+
+  $('traffic').replaceChildren(...(rows.length > 0 ? rows : [el('tr', {}, el('td', { colspan: 8 }, 'No traffic in the last minute'))]));
+}
+
+function renderUpstreams(health) {
+  $('upstreams').replaceChildren(...health.map(service => {
+    const circuitClass = { closed: 'ok', 'half-open': 'warn', open: 'bad' }[service.circuit.state];
+    const outlier = service.outlier.ejected
+      ? el('span', { class: 'badge bad', title: service.outlier.lastEjectionReason }, 'ejected')
+      : el('span', { class: 'badge' }, 'in rotation');
+
+    return el('tr', {},
+      el('td', {}, service.service),
+      el('td', {}, el('span', { class: `badge ${service.healthy ? 'ok' : 'bad'}`, title: service.lastCheckError }, service.healthy ? 'healthy' : 'unhealthy')),
+      el('td', {}, el('span', { class: `badge ${circuitClass}` }, service.circuit.state)),
+      el('td', {}, outlier),
+      el('td', {}, service.lastChecked ? new Date(service.lastChecked).toLocaleTimeString() : '-'),
+      el('td', {}, el('button', {
+        class: 'small secondary',
+        onclick: () => setHealth(service.service, !service.healthy)
+      }, service.healthy ? 'Mark unhealthy' : 'Mark healthy'))
+    );
+  }));
+}
+
+function renderCache(cache) {
+  const entries = [
+    ['Store', cache.store],
+    ['Hit ratio', cache.hitRatio === null ? '-' : `${(cache.hitRatio * 100).toFixed(1)}%`],
+    ['Hits / misses', `${cache.hits} / ${cache.misses}`],
+    ['Cached items', cache.totalCachedItems],
+    ['Estimated size', `${(cache.estimatedSize / 1024).toFixed(1)} KB`]
+  ];
+  $('cache').replaceChildren(...entries.flatMap(([name, value]) => [el('dt', {}, name), el('dd', {}, value)]));
+}
+
+function renderHotKeys({ store, hotKeys }) {
+  $('hotkeys').replaceChildren(...(hotKeys.length > 0
+    ? hotKeys.map(({ key, activeRequests }) => el('tr', {}, el('td', {}, key), el('td', { class: 'num' }, activeRequests)))
+    : [el('tr', {}, el('td', { colspan: 2 }, `No active windows (${store} store)`))]));
+}
+
+function renderRoutes(nextRoutes, config) {
+  routes = nextRoutes;
+  if (config !== undefined) {
+    $('config-version').textContent = config ? `version ${config.version} (${config.source})` : '';
+  }
+
+  $('route-list').replaceChildren(...Object.keys(routes).sort().map(path =>
+    el('li', { class: path === selectedRoute ? 'selected' : null, onclick: () => selectRoute(path) }, path)));
+
+  // Keep the editor in sync unless the admin is typing in it
+  if (selectedRoute && !routeDirty) {
+    const definition = routes[selectedRoute];
+    if (definition) $('route-definition').value = JSON.stringify(definition, null, 2);
+  }
+}
+
+function renderSnapshot(snapshot) {
+  const { traffic, health } = snapshot;
+  const healthy = health.filter(service => service.healthy && !service.outlier.ejected && service.circuit.state !== 'open').length;
+
+  $('summary').textContent = `${format(traffic.requestsPerSecond, 2)} req/s · ${format(traffic.errorRate, 2)}% 5xx · ` +
+    `${healthy}/${health.length} upstreams available · up ${Math.floor(snapshot.uptime / 60)} min`;
+
+  renderTraffic(traffic);
+  renderUpstreams(health);
+  renderCache(snapshot.cache);
+  renderHotKeys(snapshot.rateLimiter);
+  renderRoutes(snapshot.routes, snapshot.config);
+}
+
+function renderEvent(event) {
+  const list = $('events');
+  list.prepend(el('li', {},
+    `${new Date(event.timestamp).toLocaleTimeString()} `,
+    el('span', { class: 'type' }, event.type),
+    ` ${JSON.stringify(event.data)}`));
+
+  while (list.children.length > MAX_EVENTS) {
+    list.lastChild.remove();
+  }
+}
+
+// === Actions ===
+
+async function setHealth(service, healthy) {
+  try {
+    const result = await api('PUT', `/admin/health/${encodeURIComponent(service)}`, { healthy });
+    toast(result.message);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function selectRoute(path) {
+  selectedRoute = path;
+  routeDirty = false;
+  $('route-path').value = path || '';
+  $('route-definition').value = path ? JSON.stringify(routes[path], null, 2) : '';
+  renderRoutes(routes);
+}
+
+const routeUrl = (path) => `/admin/routes/${encodeURIComponent(path.replace(/^\/+/, ''))}`;
+
+$('route-definition').addEventListener('input', () => { routeDirty = true; });
+
+$('route-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const path = $('route-path').value.trim();
+
+  let definition;
+  try {
+    definition = JSON.parse($('route-definition').value);
+  } catch (err) {
+    return toast(`Invalid JSON: ${err.message}`, true);
+  }
+
+  try {
+    const result = await api('PUT', routeUrl(path), definition);
+    toast(`${result.message} (revision ${result.revision})`);
+    selectedRoute = `/${path.replace(/^\/+/, '')}`;
+    routeDirty = false;
+  } catch (err) {
+    toast(err.message, true);
+  }
+});
+
+$('route-delete').addEventListener('click', async () => {
+  const path = $('route-path').value.trim();
+  if (!path || !confirm(`Delete route ${path}?`)) return;
+
+  try {
+    const result = await api('DELETE', routeUrl(path));
+    toast(result.message);
+    selectRoute(null);
+  } catch (err) {
+    toast(err.message, true);
+  }
+});
+
+$('route-new').addEventListener('click', () => selectRoute(null));
+
+$('cache-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const pattern = $('cache-pattern').value.trim();
+  if (!confirm(pattern ? `Clear cache entries matching ${pattern}?` : 'Clear the whole cache?')) return;
+
+  try {
+    const result = await api('POST', '/admin/cache/clear', pattern ? { pattern } : {});
+    toast(result.message);
+  } catch (err) {
+    toast(err.message, true);
+  }
+});
+
+// === Stream ===
+
+/**
+ * Split an SSE byte stream into { event, data } messages
+ */
+async function readEvents(body, onMessage) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += value;
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data = [];
+      frame.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length > 0) onMessage(event, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
+async function connect() {
+  controller = new AbortController();
+  setConnection('connecting');
+
+  try {
+    const response = await fetch('/admin/dashboard/stream', {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      signal: controller.signal
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      const data = await response.json().catch(() => ({}));
+      return showLogin(data.error || 'Not authorized');
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    setConnection('live');
+    reconnectDelay = 1000;
+
+    await readEvents(response.body, (event, data) => {
+      if (event === 'snapshot') renderSnapshot(data);
+      else if (event === 'gateway') renderEvent(data);
+      else if (event === 'error') toast(data.error, true);
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+  }
+
+  // Stream ended or failed - reconnect with backoff
+  setConnection('disconnected');
+  setTimeout(connect, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+}
+
+function start() {
+  $('login').hidden = true;
+  $('dashboard').hidden = false;
+  $('logout').hidden = false;
+  connect();
+}
+
+$('login-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  token = $('token').value.trim();
+  sessionStorage.setItem(TOKEN_KEY, token);
+  start();
+});
+
+$('logout').addEventListener('click', () => {
+  sessionStorage.removeItem(TOKEN_KEY);
+  token = null;
+  showLogin();
+});
+
+if (token) start();
+else showLogin();
@@ -0,0 +1,21 @@
+/**
+ * Hash a password or client secret for config/users.json
+ * Usage: npm run hash-password -- <secret>   (or pipe the secret on stdin)
+ */
+
+import { hashSecret } from '../src/userStore.js';
+
+async function readStdin() {
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  return input.replace(/\r?\n$/, '');
+}
+
+const secret = process.argv[2] ?? await readStdin();
+
+if (!secret) {
+  console.error('Usage: npm run hash-password -- <secret>');
+  process.exit(1);
+}
+
+console.log(await hashSecret(secret));
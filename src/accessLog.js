@@ -0,0 +1,271 @@
+/**
+ * Access Log Module
+ * One structured JSON line per request, with request ids, sampling,
+ * redaction, and stdout / rotating file / syslog / HTTP sinks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import dgram from 'dgram';
+import crypto from 'crypto';
+import axios from 'axios';
+import { matchRoute } from './config.js';
+
+const DEFAULT_FIELDS = [
+  'timestamp', 'requestId', 'traceId', 'method', 'path', 'route', 'upstream', 'userId',
+  'status', 'latencyMs', 'bytesIn', 'bytesOut', 'cache', 'rateLimit', 'retries', 'clientIp'
+];
+// Opt-in fields: query, userAgent, requestHeaders
+const ALL_FIELDS = [...DEFAULT_FIELDS, 'query', 'userAgent', 'requestHeaders'];
+
+const listEnv = (value, fallback) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+
+const FIELDS = listEnv(process.env.ACCESS_LOG_FIELDS, DEFAULT_FIELDS).filter(field => ALL_FIELDS.includes(field));
+const SINKS = listEnv(process.env.ACCESS_LOG_SINKS, ['stdout']);
+// Share of successful requests that are logged; 4xx/5xx are always logged
+const SAMPLE_RATE = process.env.ACCESS_LOG_SAMPLE_RATE !== undefined ? parseFloat(process.env.ACCESS_LOG_SAMPLE_RATE) : 1;
+const REDACT_HEADERS = listEnv(process.env.ACCESS_LOG_REDACT, ['authorization', 'x-api-key', 'cookie', 'proxy-authorization'])
+  .map(name => name.toLowerCase());
+const REDACT_QUERY = listEnv(process.env.ACCESS_LOG_REDACT_QUERY, ['token', 'api_key', 'apikey', 'access_token']);
+
+const FILE_PATH = process.env.ACCESS_LOG_FILE || 'logs/access.log';
+const FILE_MAX_SIZE = parseInt(process.env.ACCESS_LOG_MAX_SIZE, 10) || 10 * 1024 * 1024;
+const FILE_MAX_FILES = parseInt(process.env.ACCESS_LOG_MAX_FILES, 10) || 5;
+
+const SYSLOG_HOST = process.env.ACCESS_LOG_SYSLOG_HOST || 'localhost';
+const SYSLOG_PORT = parseInt(process.env.ACCESS_LOG_SYSLOG_PORT, 10) || 514;
+
+const HTTP_URL = process.env.ACCESS_LOG_HTTP_URL;
+const HTTP_BATCH_SIZE = 100;
+const HTTP_FLUSH_INTERVAL = 2000;
+const HTTP_MAX_BUFFER = 1000;
+
+const REQUEST_ID_PATTERN = /^[\w\-.:]{1,128}$/;
+const REDACTED = '[REDACTED]';
+
+/**
+ * stdout sink
+ */
+function createStdoutSink() {
+  return {
+    write(line) {
+      process.stdout.write(`${line}\n`);
+    }
+  };
+}
+
+/**
+ * File sink, rotated by size: access.log -> access.log.1 -> ... -> access.log.<maxFiles>
+ */
+function createFileSink(filePath = FILE_PATH, maxSize = FILE_MAX_SIZE, maxFiles = FILE_MAX_FILES) {
+  let stream = null;
+  let size = 0;
+
+  function open() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', err => console.error('Access log file error:', err.message));
+  }
+
+  function rotate() {
+    stream.end();
+
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${filePath}.${i}`)) {
+        fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+    open();
+  }
+
+  open();
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line) + 1;
+      if (size > 0 && size + bytes > maxSize) {
+        try {
+          rotate();
+        } catch (err) {
+          console.error('Access log rotation failed:', err.message);
+        }
+      }
+      size += bytes;
+      stream.write(`${line}\n`);
+    }
+  };
+}
+
+/**
+ * Syslog sink (RFC 5424 over UDP, facility local0, severity info)
+ */
+function createSyslogSink(host = SYSLOG_HOST, port = SYSLOG_PORT) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('error', err => console.error('Access log syslog error:', err.message));
+  socket.unref();
+
+  const hostname = os.hostname();
+
+  return {
+    write(line) {
+      const message = Buffer.from(`<134>1 ${new Date().toISOString()} ${hostname} api-gateway ${process.pid} access - ${line}`);
+      socket.send(message, port, host);
+    }
+  };
+}
+
+/**
+ * HTTP sink - POSTs batches of entries as a JSON array
+ */
+function createHttpSink(url = HTTP_URL) {
+  let buffer = [];
+
+  async function flush() {
+    if (buffer.length === 0) return;
+
+    const batch = buffer;
+    buffer = [];
+
+    try {
+      await axios.post(url, `[${batch.join(',')}]`, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 5000
+      });
+    } catch (err) {
+      console.error(`Access log delivery to ${url} failed (${batch.length} entries dropped):`, err.message);
+    }
+  }
+
+  setInterval(flush, HTTP_FLUSH_INTERVAL).unref();
+
+  return {
+    write(line) {
+      if (buffer.length >= HTTP_MAX_BUFFER) buffer.shift();
+      buffer.push(line);
+      if (buffer.length >= HTTP_BATCH_SIZE) flush();
+    },
+    flush
+  };
+}
+
+function createSink(name) {
+  switch (name) {
+    case 'stdout': return createStdoutSink();
+    case 'file': return createFileSink();
+    case 'syslog': return createSyslogSink();
+    case 'http':
+      if (!HTTP_URL) {
+        console.error('Access log http sink needs ACCESS_LOG_HTTP_URL - disabled');
+        return null;
+      }
+      return createHttpSink();
+    default:
+      console.error(`Unknown access log sink "${name}" - ignored`);
+      return null;
+  }
+}
+
+const sinks = SINKS.map(createSink).filter(Boolean);
+
+function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+    [name, REDACT_HEADERS.includes(name.toLowerCase()) ? REDACTED : value]));
+}
+
+function redactQuery(query) {
+  return Object.fromEntries(Object.entries(query).map(([name, value]) =>
+    [name, REDACT_QUERY.includes(name) ? REDACTED : value]));
+}
+
+function cacheStatus(res) {
+  const hit = res.get('X-Cache-Hit');
+  if (hit === 'true') return 'hit';
+  if (hit === 'false') return 'miss';
+  return 'bypass';
+}
+
+function buildEntry(req, res, { startedAt, requestHeaders, bytesOut }) {
+  // req.path is relative to the router that finished the response (e.g. /admin)
+  const requestPath = req.originalUrl.split('?')[0];
+  const route = req.gatewayRoute || matchRoute(requestPath);
+  const values = {
+    timestamp: new Date().toISOString(),
+    requestId: req.id,
+    traceId: req.trace && req.trace.traceId,
+    method: req.method,
+    path: requestPath,
+    route: route ? route.path : null,
+    upstream: req.gatewayUpstream || null,
+    userId: req.user ? req.user.userId : null,
+    status: res.statusCode,
+    latencyMs: Number((Number(process.hrtime.bigint() - startedAt) / 1e6).toFixed(3)),
+    bytesIn: parseInt(req.headers['content-length'] || '0', 10),
+    bytesOut,
+    cache: cacheStatus(res),
+    rateLimit: req.rateLimit || null,
+    retries: parseInt(res.get('X-Gateway-Retries') || '0', 10),
+    clientIp: req.ip,
+    query: redactQuery(req.query),
+    userAgent: req.get('User-Agent') || null,
+    requestHeaders: redactHeaders(requestHeaders)
+  };
+
+  return Object.fromEntries(FIELDS.map(field => [field, values[field] ?? null]));
+}
+
+/**
+ * Access log middleware. Also assigns the request id: an incoming
+ * X-Request-Id is kept (if well-formed), otherwise one is generated; it is
+ * returned to the client and forwarded to the upstream.
+ */
+export function accessLogger(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.headers['x-request-id'] = req.id;
+  res.set('X-Request-Id', req.id);
+
+  // Headers as the client sent them, before the gateway adds or rewrites any
+  const requestHeaders = { ...req.headers };
+
+  let bytesOut = 0;
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+
+  res.write = function (chunk, ...args) {
+    if (chunk) bytesOut += Buffer.byteLength(chunk);
+    return originalWrite.call(this, chunk, ...args);
+  };
+
+  res.end = function (chunk, ...args) {
+    if (chunk && typeof chunk !== 'function') bytesOut += Buffer.byteLength(chunk);
+    return originalEnd.call(this, chunk, ...args);
+  };
+
+  let logged = false;
+  const log = () => {
+    if (logged) return;
+    logged = true;
+
+    if (res.statusCode < 400 && SAMPLE_RATE < 1 && Math.random() >= SAMPLE_RATE) return;
+
+    const line = JSON.stringify(buildEntry(req, res, { startedAt, requestHeaders, bytesOut }));
+    sinks.forEach(sink => sink.write(line));
+  };
+
+  res.once('finish', log);
+  res.once('close', log);
+
+  next();
+}
+
+/**
+ * Deliver buffered entries (on shutdown)
+ */
+export async function flushAccessLog() {
+  await Promise.all(sinks.filter(sink => sink.flush).map(sink => sink.flush()));
+}
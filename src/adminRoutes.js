@@ -0,0 +1,690 @@
+/**
+ * Admin API
+ * Every /admin endpoint, guarded by the admin roles/scopes and audited.
+ * Mounted at /admin on the gateway, or on its own listener (ADMIN_PORT).
+ */
+
+import express from 'express';
+import { getMetrics, resetMetrics } from './logger.js';
+import { authorizeAdmin, describeCaller } from './auth.js';
+import { invalidateCache, getCacheStats, getCacheDetails } from './cache.js';
+import { getRoutingTable, updateRoute, removeRoute } from './router.js';
+import { getHealthStatus, getHealthSummary, setServiceHealth, performHealthChecks } from './healthChecker.js';
+import { getLoadBalancerStats, STRATEGIES } from './loadBalancer.js';
+import { getRateLimiterStats, getApiKeyQuotaUsage } from './rateLimiter.js';
+import { reloadConfig, getConfigVersion, getRoutes, exportRoutes, ConfigValidationError, getConfig, matchRoute, isPublicPath } from './config.js';
+import { evaluateAccess, callerPermissions, USER_ROLES } from './policies.js';
+import { getWindowedMetrics, parseWindow } from './windowedMetrics.js';
+import { streamDashboard } from './dashboard.js';
+import { getTracingStats } from './tracing.js';
+import { emitGatewayEvent, onGatewayEvent, getRecentEvents, EVENT_TYPES } from './events.js';
+import { getWebhookStatus } from './webhooks.js';
+import { recordRevision, listRevisions, getRevision, diffRevisions, rollbackToRevision } from './routeRevisions.js';
+import { auditMiddleware, queryAudit } from './auditLog.js';
+import { getJwtIssuers, refreshJwks } from './jwtVerifier.js';
+import { getIntrospectionStats, clearIntrospectionCache } from './introspection.js';
+import { getTlsStatus, reloadCertificates, isTlsEnabled } from './tls.js';
+import { createApiKey, listApiKeys, getApiKey, updateApiKey, rotateApiKey, revokeApiKey, ApiKeyValidationError } from './apiKeys.js';
+
+/**
+ * Build the admin router (paths relative to /admin)
+ */
+export function createAdminRouter() {
+  const router = express.Router();
+
+  // Audit first so rejected attempts are recorded too
+  router.use(auditMiddleware);
+  router.use(authorizeAdmin);
+
+  /**
+   * Get gateway metrics (since boot, or over a rolling ?window=)
+   */
+  router.get('/metrics', (req, res) => {
+    if (req.query.window === undefined) {
+      return res.json(getMetrics());
+    }
+
+    const windowMs = parseWindow(req.query.window);
+    if (!windowMs) {
+      return res.status(400).json({ error: 'window must be a duration between 10s and 15m, e.g. 1m, 5m or 15m' });
+    }
+
+    res.json({ window: req.query.window, ...getWindowedMetrics(windowMs) });
+  });
+
+  /**
+   * Get health status of all services
+   */
+  router.get('/health', (req, res) => {
+    res.json(getHealthSummary());
+  });
+
+  /**
+   * Get detailed health status
+   */
+  router.get('/health/services', (req, res) => {
+    res.json(getHealthStatus());
+  });
+
+  /**
+   * Manually trigger health check
+   */
+  router.post('/health/check', async (req, res, next) => {
+    res.locals.audit = { action: 'health.check' };
+    try {
+      await performHealthChecks();
+      res.json({ message: 'Health checks completed', status: getHealthSummary() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Set service health manually
+   */
+  router.put('/health/:service', (req, res) => {
+    const { service } = req.params;
+    const { healthy } = req.body;
+
+    if (typeof healthy !== 'boolean') {
+      return res.status(400).json({ error: 'healthy field must be boolean' });
+    }
+
+    const current = getHealthStatus().find(entry => entry.service === service);
+    res.locals.audit = {
+      action: 'health.set',
+      target: service,
+      before: current ? { healthy: current.healthy } : null,
+      after: { healthy }
+    };
+
+    setServiceHealth(service, healthy);
+    res.json({ message: `Service ${service} set to ${healthy ? 'healthy' : 'unhealthy'}` });
+  });
+
+  /**
+   * Get routing table
+   */
+  router.get('/routes', (req, res) => {
+    res.json({
+      ...getConfigVersion(),
+      routes: getRoutingTable()
+    });
+  });
+
+  /**
+   * Authorization policies per route and the permissions of each role
+   */
+  router.get('/policies', (req, res) => {
+    const { auth: defaults } = getConfig().defaults;
+    res.json({
+      rolePermissions: USER_ROLES,
+      defaults: { public: defaults.public, roles: defaults.roles, policies: defaults.policies },
+      routes: Object.fromEntries(getRoutes().map(({ path, auth }) => [path, { public: auth.public, roles: auth.roles, policies: auth.policies }]))
+    });
+  });
+
+  /**
+   * Explain whether a request would be allowed
+   * (?method=DELETE&path=/orders/42&role=user&scope=orders:delete; no role = unauthenticated)
+   */
+  router.get('/policies/explain', (req, res) => {
+    const { path: requestPath, role, scope = '' } = req.query;
+    const method = String(req.query.method || 'GET').toUpperCase();
+
+    if (typeof requestPath !== 'string' || !requestPath.startsWith('/')) {
+      return res.status(400).json({ error: 'path query parameter must start with /' });
+    }
+
+    const route = matchRoute(requestPath);
+    const auth = route ? route.auth : getConfig().defaults.auth;
+    const caller = role ? { role, scopes: String(scope).split(/[\s,]+/).filter(Boolean) } : null;
+    const decision = isPublicPath(requestPath)
+      ? { allowed: true, reason: 'Path is in publicPaths', steps: [{ check: 'public path', result: 'allow' }], rule: null, params: {} }
+      : evaluateAccess(auth, { method, path: requestPath }, caller);
+
+    res.json({
+      request: { method, path: requestPath },
+      route: route ? route.path : null,
+      authMethods: auth.methods,
+      caller: caller && { ...caller, permissions: callerPermissions(caller.role, caller.scopes) },
+      ...decision
+    });
+  });
+
+  /**
+   * Reload route configuration from disk
+   */
+  router.post('/routes/reload', (req, res) => {
+    const before = exportRoutes();
+    const result = reloadConfig();
+    res.locals.audit = { action: 'routes.reload', before, after: exportRoutes() };
+
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid route configuration, keeping active version',
+        ...result
+      });
+    }
+
+    res.json({
+      message: result.reloaded ? 'Route configuration reloaded' : 'Route configuration unchanged',
+      ...result
+    });
+  });
+
+  /**
+   * Update route
+   */
+  router.put('/routes/:path', async (req, res, next) => {
+    const { path } = req.params;
+    const { services, ...definition } = req.body;
+
+    // Legacy body: { services: [urls] }
+    if (services !== undefined) {
+      definition.upstreams = services;
+    }
+
+    const previousRoutes = exportRoutes();
+    res.locals.audit = { action: 'routes.update', target: `/${path}`, before: previousRoutes[`/${path}`] || null };
+
+    let route;
+    try {
+      route = updateRoute(`/${path}`, definition);
+    } catch (err) {
+      if (!(err instanceof ConfigValidationError)) return next(err);
+      return res.status(400).json({ error: 'Invalid route definition', details: err.errors });
+    }
+    res.locals.audit.after = exportRoutes()[`/${path}`];
+
+    try {
+      const revision = await recordRevision({ author: describeCaller(req), action: 'update', path: `/${path}`, previousRoutes });
+      res.json({ message: `Route /${path} updated`, revision: revision.revision, route });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Delete route
+   */
+  router.delete('/routes/:path', async (req, res, next) => {
+    const { path } = req.params;
+    const previousRoutes = exportRoutes();
+    res.locals.audit = { action: 'routes.delete', target: `/${path}`, before: previousRoutes[`/${path}`] || null };
+
+    if (!removeRoute(`/${path}`)) {
+      return res.status(404).json({ error: `Route /${path} not found` });
+    }
+
+    try {
+      const revision = await recordRevision({ author: describeCaller(req), action: 'delete', path: `/${path}`, previousRoutes });
+      res.json({ message: `Route /${path} deleted`, revision: revision.revision });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * List route table revisions
+   */
+  router.get('/routes/revisions', async (req, res, next) => {
+    try {
+      res.json(await listRevisions());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Get a single revision with its routing table
+   */
+  router.get('/routes/revisions/:revision', async (req, res, next) => {
+    try {
+      const revision = await getRevision(Number(req.params.revision));
+
+      if (!revision) {
+        return res.status(404).json({ error: `Revision ${req.params.revision} not found` });
+      }
+
+      res.json(revision);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Diff two revisions (?from=<n>&to=<n>)
+   */
+  router.get('/routes/diff', async (req, res, next) => {
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers' });
+    }
+
+    try {
+      const diff = await diffRevisions(from, to);
+
+      if (!diff) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json(diff);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Roll back the routing table to an earlier revision
+   */
+  router.post('/routes/rollback/:revision', async (req, res, next) => {
+    res.locals.audit = { action: 'routes.rollback', target: req.params.revision, before: exportRoutes() };
+
+    try {
+      const revision = await rollbackToRevision(Number(req.params.revision), describeCaller(req));
+      res.locals.audit.after = exportRoutes();
+
+      if (!revision) {
+        return res.status(404).json({ error: `Revision ${req.params.revision} not found` });
+      }
+
+      res.json({
+        message: `Routing table rolled back to revision ${req.params.revision}`,
+        revision: revision.revision
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Get cache statistics
+   */
+  router.get('/cache/stats', async (req, res, next) => {
+    try {
+      res.json(await getCacheStats());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Get cache details
+   */
+  router.get('/cache/details', async (req, res, next) => {
+    try {
+      res.json(await getCacheDetails());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Clear cache
+   */
+  router.post('/cache/clear', async (req, res, next) => {
+    const { pattern } = req.body;
+
+    try {
+      const before = await getCacheStats();
+      await invalidateCache(pattern);
+      const after = await getCacheStats();
+      res.locals.audit = {
+        action: 'cache.clear',
+        target: pattern || '*',
+        before: { totalCachedItems: before.totalCachedItems },
+        after: { totalCachedItems: after.totalCachedItems }
+      };
+
+      res.json({ message: pattern ? `Cache cleared for pattern: ${pattern}` : 'All cache cleared' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Get load balancer statistics
+   */
+  router.get('/loadbalancer/stats', (req, res) => {
+    res.json(getLoadBalancerStats(getRoutes()));
+  });
+
+  /**
+   * Change a route's load balancing strategy
+   */
+  router.put('/loadbalancer/:path', async (req, res, next) => {
+    const { path } = req.params;
+    const { strategy } = req.body;
+    const previousRoutes = exportRoutes();
+    const definition = previousRoutes[`/${path}`];
+    res.locals.audit = {
+      action: 'routes.strategy',
+      target: `/${path}`,
+      before: definition ? { strategy: definition.strategy } : null,
+      after: { strategy }
+    };
+
+    if (!definition) {
+      return res.status(404).json({ error: `Route /${path} not found` });
+    }
+
+    if (!STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: 'Invalid strategy', details: [`strategy: must be one of ${STRATEGIES.join(', ')}`] });
+    }
+
+    try {
+      updateRoute(`/${path}`, { ...definition, strategy });
+    } catch (err) {
+      if (!(err instanceof ConfigValidationError)) return next(err);
+      return res.status(400).json({ error: 'Invalid strategy', details: err.errors });
+    }
+
+    try {
+      const revision = await recordRevision({ author: describeCaller(req), action: 'strategy', path: `/${path}`, previousRoutes });
+      res.json({ message: `Route /${path} now uses ${strategy}`, revision: revision.revision });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Get rate limiter statistics
+   */
+  router.get('/ratelimiter/stats', async (req, res, next) => {
+    try {
+      res.json(await getRateLimiterStats());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Reset metrics (for testing)
+   */
+  router.post('/reset/metrics', (req, res) => {
+    res.locals.audit = { action: 'metrics.reset', before: { totalRequests: getMetrics().totalRequests } };
+    resetMetrics();
+    res.json({ message: 'Metrics reset' });
+  });
+
+  /**
+   * Gateway status dashboard
+   */
+  router.get('/status', async (req, res, next) => {
+    let cache;
+    try {
+      cache = await getCacheStats();
+    } catch (err) {
+      return next(err);
+    }
+
+    res.json({
+      gateway: {
+        uptime: process.uptime(),
+        timestamp: new Date()
+      },
+      metrics: getMetrics(),
+      health: getHealthSummary(),
+      cache,
+      tracing: getTracingStats(),
+      routes: getRoutingTable()
+    });
+  });
+
+  /**
+   * Live gateway events as Server-Sent Events
+   * Optional ?types=service.unhealthy,circuit.open filter; reconnecting clients
+   * get missed events replayed from Last-Event-ID
+   */
+  router.get('/events', (req, res) => {
+    const types = req.query.types ? String(req.query.types).split(',') : null;
+    const unknown = (types || []).filter(type => !EVENT_TYPES.includes(type));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown event types: ${unknown.join(', ')}`, eventTypes: EVENT_TYPES });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const send = (event) => {
+      if (types && !types.includes(event.type)) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    if (Number.isInteger(lastEventId)) {
+      getRecentEvents(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = onGatewayEvent(send);
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  /**
+   * Dashboard data stream: periodic snapshots plus gateway events (SSE)
+   */
+  router.get('/dashboard/stream', streamDashboard);
+
+  /**
+   * Webhook configuration and delivery stats
+   */
+  router.get('/webhooks', (req, res) => {
+    res.json(getWebhookStatus());
+  });
+
+  /**
+   * Send a test event to the webhooks (and SSE clients)
+   */
+  router.post('/webhooks/test', (req, res) => {
+    const event = emitGatewayEvent('test', { triggeredBy: describeCaller(req) });
+    res.locals.audit = { action: 'webhooks.test', after: { eventId: event.id } };
+    res.json({ message: 'Test event sent', event, webhooks: getWebhookStatus().targets.length });
+  });
+
+  /**
+   * Trusted JWT issuers and their cached keys
+   */
+  router.get('/auth/issuers', (req, res) => {
+    res.json({ issuers: getJwtIssuers() });
+  });
+
+  /**
+   * Refetch the issuers' JWKS now instead of waiting for the background refresh
+   */
+  router.post('/auth/issuers/refresh', async (req, res, next) => {
+    const before = getJwtIssuers().map(({ issuer, keys }) => ({ issuer, keys: keys.keys }));
+    try {
+      const issuers = await refreshJwks();
+      res.locals.audit = {
+        action: 'auth.jwks-refresh',
+        before,
+        after: issuers.map(({ issuer, keys }) => ({ issuer, keys: keys.keys }))
+      };
+      res.json({ message: 'JWKS refreshed', issuers });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * OAuth2 introspection settings and cache counters
+   */
+  router.get('/auth/introspection', (req, res) => {
+    res.json(getIntrospectionStats());
+  });
+
+  /**
+   * Drop cached introspection results ({ token } for one token), e.g. after
+   * tokens were revoked at the authorization server
+   */
+  router.post('/auth/introspection/clear', (req, res) => {
+    const { token } = req.body;
+    const cleared = clearIntrospectionCache(token);
+    res.locals.audit = { action: 'auth.introspection-clear', target: token ? 'token' : '*', after: { cleared } };
+    res.json({ message: token ? 'Cached result for token cleared' : 'Introspection cache cleared', cleared });
+  });
+
+  /**
+   * TLS listener settings and loaded certificates (expiry, fingerprints)
+   */
+  router.get('/tls', (req, res) => {
+    res.json(getTlsStatus());
+  });
+
+  /**
+   * Re-read certificate files now (they are also reloaded when they change)
+   */
+  router.post('/tls/reload', (req, res) => {
+    if (!isTlsEnabled()) {
+      return res.status(400).json({ error: 'TLS listener is not enabled (TLS_PORT)' });
+    }
+
+    const before = getTlsStatus();
+    const result = reloadCertificates();
+    const fingerprints = (status) => [status.defaultCertificate, ...status.sniCertificates].map(cert => cert && cert.fingerprint256);
+    res.locals.audit = { action: 'tls.reload', before: fingerprints(before), after: fingerprints(getTlsStatus()) };
+
+    if (!result.ok) {
+      return res.status(500).json({ error: 'Certificate reload failed; current certificates kept', details: result.error });
+    }
+    res.json({ message: 'TLS certificates reloaded', tls: getTlsStatus() });
+  });
+
+  /**
+   * List managed API keys (?owner=)
+   */
+  router.get('/apikeys', async (req, res, next) => {
+    try {
+      res.json({ keys: await listApiKeys({ owner: req.query.owner }) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Create an API key. The response is the only time the key is shown.
+   */
+  router.post('/apikeys', async (req, res, next) => {
+    res.locals.audit = { action: 'apikeys.create' };
+
+    try {
+      const { key, apiKey } = await createApiKey(req.body, describeCaller(req));
+      res.locals.audit = { action: 'apikeys.create', target: apiKey.id, after: apiKey };
+      res.status(201).json({ message: 'API key created - store it now, it cannot be shown again', key, apiKey });
+    } catch (err) {
+      if (!(err instanceof ApiKeyValidationError)) return next(err);
+      res.status(400).json({ error: 'Invalid API key definition', details: err.errors });
+    }
+  });
+
+  /**
+   * One API key, with this month's quota usage
+   */
+  router.get('/apikeys/:id', async (req, res, next) => {
+    try {
+      const apiKey = await getApiKey(req.params.id);
+      if (!apiKey) {
+        return res.status(404).json({ error: `API key ${req.params.id} not found` });
+      }
+      res.json({ ...apiKey, quotaUsed: await getApiKeyQuotaUsage(apiKey.id) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Change an API key (owner, role, scopes, routes, methods, rateLimit,
+   * monthlyQuota, expiresAt, enabled)
+   */
+  router.patch('/apikeys/:id', async (req, res, next) => {
+    const { id } = req.params;
+    res.locals.audit = { action: 'apikeys.update', target: id };
+
+    try {
+      const result = await updateApiKey(id, req.body);
+      if (!result) {
+        return res.status(404).json({ error: `API key ${id} not found` });
+      }
+      res.locals.audit = { action: 'apikeys.update', target: id, ...result };
+      res.json({ message: `API key ${id} updated`, apiKey: result.after });
+    } catch (err) {
+      if (!(err instanceof ApiKeyValidationError)) return next(err);
+      res.status(400).json({ error: 'Invalid API key definition', details: err.errors });
+    }
+  });
+
+  /**
+   * Issue a new secret for a key ({ gracePeriod } seconds the old one keeps working)
+   */
+  router.post('/apikeys/:id/rotate', async (req, res, next) => {
+    const { id } = req.params;
+    res.locals.audit = { action: 'apikeys.rotate', target: id };
+
+    try {
+      const result = await rotateApiKey(id, { gracePeriod: req.body.gracePeriod });
+      if (!result) {
+        return res.status(404).json({ error: `API key ${id} not found` });
+      }
+      res.locals.audit.after = { rotatedAt: result.apiKey.rotatedAt, previousExpiresAt: result.apiKey.previousExpiresAt };
+      res.json({ message: 'API key rotated - store the new key now, it cannot be shown again', key: result.key, apiKey: result.apiKey });
+    } catch (err) {
+      if (!(err instanceof ApiKeyValidationError)) return next(err);
+      res.status(400).json({ error: 'Invalid rotation', details: err.errors });
+    }
+  });
+
+  /**
+   * Revoke (delete) an API key
+   */
+  router.delete('/apikeys/:id', async (req, res, next) => {
+    const { id } = req.params;
+    res.locals.audit = { action: 'apikeys.revoke', target: id };
+
+    try {
+      const removed = await revokeApiKey(id);
+      if (!removed) {
+        return res.status(404).json({ error: `API key ${id} not found` });
+      }
+      res.locals.audit.before = removed;
+      res.json({ message: `API key ${id} revoked` });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Query the audit log (?actor=&action=&target=&outcome=&since=&until=&limit=)
+   */
+  router.get('/audit', async (req, res, next) => {
+    const { actor, action, target, outcome, since, until } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+    if ([since, until].some(time => time !== undefined && Number.isNaN(new Date(time).getTime()))) {
+      return res.status(400).json({ error: 'since and until must be ISO 8601 timestamps' });
+    }
+
+    try {
+      res.json(await queryAudit({ actor, action, target, outcome, since, until, limit }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,366 @@
+/**
+ * API Keys Module
+ * Managed API keys: owner, role, scopes, allowed routes/methods, per-key rate
+ * limit, monthly quota, expiry and enabled flag. Only a SHA-256 of each key is
+ * stored; the key itself is shown once, when it is created or rotated.
+ * Storage: JSON file (default) or Redis
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE_PATH = process.env.API_KEY_STORE_PATH || path.join(__dirname, '../data/apikeys.json');
+
+// gw_<12 hex id>_<32 char secret>; the id is public and used for lookups
+const KEY_PATTERN = /^gw_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const EDITABLE_FIELDS = ['name', 'owner', 'role', 'scopes', 'routes', 'methods', 'rateLimit', 'monthlyQuota', 'expiresAt', 'enabled'];
+
+/**
+ * Invalid key definition (admin API answers 400 with `errors`)
+ */
+export class ApiKeyValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid API key definition:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ApiKeyValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * File API Key Store
+ * All keys in one JSON file, rewritten atomically on every change.
+ * Changes run one at a time, each starting from the previous one's result.
+ */
+export function createFileApiKeyStore(filePath = DEFAULT_FILE_PATH) {
+  let keys = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (keys) return Promise.resolve(keys);
+
+    if (!loading) {
+      loading = fs.promises.readFile(filePath, 'utf-8')
+        .then(content => new Map((JSON.parse(content).keys || []).map(record => [record.id, record])))
+        .catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+          return new Map();
+        })
+        .then(loaded => { keys = loaded; return keys; })
+        .finally(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  async function persist(next) {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.promises.writeFile(tmpPath, JSON.stringify({ keys: [...next.values()] }, null, 2));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw err;
+    }
+    keys = next;
+  }
+
+  // Apply a change to a copy of the current keys and write it out
+  function mutate(change) {
+    const result = writing.then(async () => {
+      const next = new Map(await load());
+      change(next);
+      await persist(next);
+    });
+    writing = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    type: 'file',
+
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+
+    async list() {
+      return [...(await load()).values()];
+    },
+
+    save(record) {
+      return mutate(next => next.set(record.id, record));
+    },
+
+    remove(id) {
+      return mutate(next => next.delete(id));
+    }
+  };
+}
+
+/**
+ * Redis API Key Store
+ * Shared by every gateway replica (one hash, field per key id)
+ * @param {Object} client - Connected node-redis client (or compatible fake)
+ * @param {Object} options - { prefix }
+ */
+export function createRedisApiKeyStore(client, { prefix = 'gateway:apikeys:' } = {}) {
+  return {
+    type: 'redis',
+
+    async get(id) {
+      const record = await client.hGet(`${prefix}keys`, id);
+      return record ? JSON.parse(record) : null;
+    },
+
+    async list() {
+      const records = await client.hVals(`${prefix}keys`);
+      return records.map(record => JSON.parse(record));
+    },
+
+    async save(record) {
+      await client.hSet(`${prefix}keys`, record.id, JSON.stringify(record));
+    },
+
+    async remove(id) {
+      await client.hDel(`${prefix}keys`, id);
+    }
+  };
+}
+
+let store = createFileApiKeyStore();
+
+/**
+ * Replace the API key storage backend
+ */
+export function setApiKeyStore(newStore) {
+  store = newStore;
+  console.log(`API keys using ${store.type} store`);
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const hashesMatch = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+function generateKey(id) {
+  return `gw_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+/**
+ * Validate editable fields. `partial` allows omitting the required ones (PATCH).
+ */
+function validateApiKeyInput(input, { partial = false } = {}) {
+  const errors = [];
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiKeyValidationError(['body must be an object']);
+  }
+
+  Object.keys(input)
+    .filter(field => !EDITABLE_FIELDS.includes(field))
+    .forEach(field => errors.push(`unknown field "${field}"`));
+
+  if (!partial && input.owner === undefined) errors.push('owner is required');
+  ['owner', 'name', 'role'].forEach(field => {
+    if (input[field] !== undefined && (typeof input[field] !== 'string' || input[field].trim() === '')) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+
+  if (input.scopes !== undefined && !isStringArray(input.scopes)) {
+    errors.push('scopes must be an array of strings');
+  }
+  if (input.routes !== undefined && !(isStringArray(input.routes) && input.routes.every(route => route.startsWith('/')))) {
+    errors.push('routes must be an array of route paths (e.g. "/users")');
+  }
+  if (input.methods !== undefined && !(Array.isArray(input.methods) && input.methods.every(method => HTTP_METHODS.includes(method)))) {
+    errors.push(`methods must be an array of ${HTTP_METHODS.join(', ')}`);
+  }
+  if (input.rateLimit !== undefined && input.rateLimit !== null &&
+    !(isPositiveInteger(input.rateLimit.requests) && isPositiveInteger(input.rateLimit.windowMs))) {
+    errors.push('rateLimit must be null or { requests, windowMs } with positive integers');
+  }
+  if (input.monthlyQuota !== undefined && input.monthlyQuota !== null && !isPositiveInteger(input.monthlyQuota)) {
+    errors.push('monthlyQuota must be null or a positive integer');
+  }
+  if (input.expiresAt !== undefined && input.expiresAt !== null && Number.isNaN(new Date(input.expiresAt).getTime())) {
+    errors.push('expiresAt must be null or an ISO 8601 timestamp');
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    throw new ApiKeyValidationError(errors);
+  }
+}
+
+function normalizeInput(input) {
+  const fields = { ...input };
+  if (fields.expiresAt) fields.expiresAt = new Date(fields.expiresAt).toISOString();
+  return fields;
+}
+
+/**
+ * Key record without secrets (admin API, audit log)
+ */
+function describeApiKey(record) {
+  const { hash, previousHash, ...rest } = record;
+  return {
+    ...rest,
+    expired: record.expiresAt !== null && new Date(record.expiresAt).getTime() <= Date.now()
+  };
+}
+
+/**
+ * Create a key
+ * @returns {Promise<Object>} { key, apiKey } - `key` is never retrievable again
+ */
+export async function createApiKey(input, createdBy) {
+  validateApiKeyInput(input);
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = generateKey(id);
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    name: null,
+    role: 'api-consumer',
+    scopes: [],
+    routes: [],
+    methods: [],
+    rateLimit: null,
+    monthlyQuota: null,
+    expiresAt: null,
+    enabled: true,
+    ...normalizeInput(input),
+    hash: hashKey(key),
+    previousHash: null,
+    previousExpiresAt: null,
+    createdAt: now,
+    createdBy,
+    updatedAt: now,
+    rotatedAt: null
+  };
+
+  await store.save(record);
+  return { key, apiKey: describeApiKey(record) };
+}
+
+/**
+ * List keys (optionally for one owner)
+ */
+export async function listApiKeys({ owner } = {}) {
+  return (await store.list())
+    .filter(record => !owner || record.owner === owner)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(describeApiKey);
+}
+
+export async function getApiKey(id) {
+  const record = await store.get(id);
+  return record ? describeApiKey(record) : null;
+}
+
+/**
+ * Change a key's settings
+ * @returns {Promise<Object|null>} { before, after }, null when the key does not exist
+ */
+export async function updateApiKey(id, changes) {
+  validateApiKeyInput(changes, { partial: true });
+
+  const record = await store.get(id);
+  if (!record) return null;
+
+  const updated = { ...record, ...normalizeInput(changes), updatedAt: new Date().toISOString() };
+  await store.save(updated);
+  return { before: describeApiKey(record), after: describeApiKey(updated) };
+}
+
+/**
+ * Issue a new secret for a key. The old one keeps working for
+ * `gracePeriod` seconds (default 0) so clients can switch over.
+ * @returns {Promise<Object|null>} { key, apiKey }
+ */
+export async function rotateApiKey(id, { gracePeriod = 0 } = {}) {
+  if (!Number.isInteger(gracePeriod) || gracePeriod < 0) {
+    throw new ApiKeyValidationError(['gracePeriod must be a non-negative integer (seconds)']);
+  }
+
+  const record = await store.get(id);
+  if (!record) return null;
+
+  const key = generateKey(id);
+  const now = Date.now();
+  const rotated = {
+    ...record,
+    hash: hashKey(key),
+    previousHash: gracePeriod > 0 ? record.hash : null,
+    previousExpiresAt: gracePeriod > 0 ? new Date(now + gracePeriod * 1000).toISOString() : null,
+    rotatedAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString()
+  };
+
+  await store.save(rotated);
+  return { key, apiKey: describeApiKey(rotated) };
+}
+
+/**
+ * Delete a key; it stops working immediately
+ * @returns {Promise<Object|null>} The removed key
+ */
+export async function revokeApiKey(id) {
+  const record = await store.get(id);
+  if (!record) return null;
+
+  await store.remove(id);
+  return describeApiKey(record);
+}
+
+/**
+ * Look up a presented key
+ * @returns {Promise<Object|null>} The key record, or null if it is unknown,
+ *   wrong, disabled or expired
+ */
+export async function resolveApiKey(presented) {
+  const match = KEY_PATTERN.exec(presented || '');
+  if (!match) return null;
+
+  const record = await store.get(match[1]);
+  if (!record || !record.enabled) return null;
+
+  const now = Date.now();
+  if (record.expiresAt && new Date(record.expiresAt).getTime() <= now) return null;
+
+  const hash = hashKey(presented);
+  const current = hashesMatch(hash, record.hash);
+  const previous = record.previousHash && new Date(record.previousExpiresAt).getTime() > now &&
+    hashesMatch(hash, record.previousHash);
+
+  return current || previous ? record : null;
+}
+
+/**
+ * Does the key allow this request? Empty routes/methods lists allow everything.
+ * @param {string|null} routePath - Matched route (null if none)
+ */
+export function apiKeyAllows(record, routePath, method) {
+  const routeAllowed = record.routes.length === 0 || (routePath !== null && record.routes.includes(routePath));
+  const methodAllowed = record.methods.length === 0 || record.methods.includes(method);
+  return routeAllowed && methodAllowed;
+}
+
+/**
+ * Does the value look like a managed key (as opposed to a VALID_API_KEYS entry)?
+ */
+export function isManagedApiKey(value) {
+  return typeof value === 'string' && value.startsWith('gw_');
+}
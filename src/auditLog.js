@@ -0,0 +1,187 @@
+/**
+ * Audit Log Module
+ * Records every mutating admin call: who, what, when, and the state before/after
+ * Storage: JSON lines file (default) or Redis
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { describeCaller } from './auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '../data/audit.log');
+const MAX_ENTRIES = parseInt(process.env.AUDIT_LOG_MAX_ENTRIES, 10) || 10000;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+async function readEntries(filePath) {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return [];
+  }
+
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * File Audit Store
+ * Append-only, one JSON entry per line. Once the file holds `maxEntries` it
+ * is rotated to <file>.1 (replacing the previous one), so at most two files
+ * are kept. The newest `maxEntries` are read once and then served from memory.
+ * @param {Object} options - { maxEntries }
+ */
+export function createFileAuditStore(filePath = DEFAULT_FILE_PATH, { maxEntries = MAX_ENTRIES } = {}) {
+  const rotatedPath = `${filePath}.1`;
+  let loading = null;
+  // Entries in the current file
+  let lines = 0;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        const current = await readEntries(filePath);
+        const rotated = current.length < maxEntries ? await readEntries(rotatedPath) : [];
+        lines = current.length;
+        return [...rotated, ...current].slice(-maxEntries);
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  async function write(entry) {
+    const entries = await load();
+
+    if (lines >= maxEntries) {
+      await fs.promises.rename(filePath, rotatedPath);
+      lines = 0;
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    lines++;
+
+    entries.push(entry);
+    if (entries.length > maxEntries) entries.shift();
+  }
+
+  return {
+    type: 'file',
+
+    append(entry) {
+      const result = writing.then(() => write(entry));
+      writing = result.catch(() => {});
+      return result;
+    },
+
+    async list() {
+      return [...(await load())];
+    }
+  };
+}
+
+/**
+ * Redis Audit Store
+ * Shared by every gateway replica; keeps the newest `maxEntries`
+ * @param {Object} client - Connected node-redis client (or compatible fake)
+ * @param {Object} options - { prefix, maxEntries }
+ */
+export function createRedisAuditStore(client, { prefix = 'gateway:audit:', maxEntries = MAX_ENTRIES } = {}) {
+  return {
+    type: 'redis',
+
+    async append(entry) {
+      await client.rPush(`${prefix}entries`, JSON.stringify(entry));
+      await client.lTrim(`${prefix}entries`, -maxEntries, -1);
+    },
+
+    async list() {
+      const entries = await client.lRange(`${prefix}entries`, 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+  };
+}
+
+let store = createFileAuditStore();
+
+/**
+ * Replace the audit storage backend
+ */
+export function setAuditStore(newStore) {
+  store = newStore;
+  console.log(`Audit log using ${store.type} store`);
+}
+
+function outcomeOf(status) {
+  if (status === 401 || status === 403) return 'denied';
+  return status < 400 ? 'success' : 'failed';
+}
+
+/**
+ * Audit middleware for the admin API. Handlers describe the change in
+ * res.locals.audit = { action, target, before, after }; calls without it
+ * (including rejected ones) are still recorded with method and path.
+ */
+export function auditMiddleware(req, res, next) {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.once('finish', () => {
+    const { action = null, target = null, before = null, after = null } = res.locals.audit || {};
+
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: describeCaller(req),
+      role: req.user ? req.user.role || null : null,
+      clientIp: req.ip,
+      requestId: req.id || null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      action: action || `${req.method} ${req.baseUrl}${req.path}`,
+      target,
+      status: res.statusCode,
+      outcome: outcomeOf(res.statusCode),
+      before,
+      after
+    };
+
+    store.append(entry).catch(err => {
+      console.error('Failed to write audit entry:', err.message, JSON.stringify(entry));
+    });
+  });
+
+  next();
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { actor, action, target, outcome, since, until, limit }
+ */
+export async function queryAudit({ actor, action, target, outcome, since, until, limit = 100 } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+
+  const entries = (await store.list()).filter(entry => {
+    const time = new Date(entry.timestamp).getTime();
+    return (!actor || entry.actor === actor) &&
+      (!action || entry.action === action) &&
+      (!target || entry.target === target) &&
+      (!outcome || entry.outcome === outcome) &&
+      (sinceTime === null || time >= sinceTime) &&
+      (untilTime === null || time <= untilTime);
+  });
+
+  return {
+    total: entries.length,
+    entries: entries.reverse().slice(0, limit)
+  };
+}
@@ -1,28 +1,41 @@
 /**
  * Authentication Layer
- * Supports: JWT, API Key, Optional OAuth2
+ * Supports: JWT, API Key, OAuth2 token introspection (RFC 7662), client
+ * certificates (mTLS on the TLS listener)
  */
 
 import jwt from 'jsonwebtoken';
+import { getConfig, matchRoute, isPublicPath } from './config.js';
+import { verifyJwt, LOCAL_ISSUER } from './jwtVerifier.js';
+import { resolveApiKey, apiKeyAllows, isManagedApiKey } from './apiKeys.js';
+import { applyApiKeyLimits } from './rateLimiter.js';
+import { evaluateAccess } from './policies.js';
+import { introspectToken, isIntrospectionEnabled, IntrospectionError } from './introspection.js';
+import { getClientIdentity } from './tls.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.warn('JWT_SECRET is not set: gateway tokens are signed with the built-in development secret');
+}
+// Static keys (deprecated - use managed keys, see apiKeys.js)
 const API_KEYS = new Set(process.env.VALID_API_KEYS?.split(',') || ['test-api-key-123']);
 
-// Mock user roles for JWT validation
-const USER_ROLES = {
-  'admin': ['read', 'write', 'delete'],
-  'user': ['read'],
-  'moderator': ['read', 'write']
-};
+// Roles allowed to use the admin API: read-only calls (GET) vs changes.
+// Writers can always read.
+const listEnv = (value, fallback) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+const ADMIN_READ_ROLES = listEnv(process.env.ADMIN_READ_ROLES, ['admin', 'moderator']);
+const ADMIN_WRITE_ROLES = listEnv(process.env.ADMIN_WRITE_ROLES, ['admin']);
+export const ADMIN_SCOPES = { read: 'admin:read', write: 'admin:write' };
 
 /**
  * JWT Authentication Middleware
+ * Gateway tokens (HS256) and tokens from trusted issuers (see jwtVerifier.js)
  */
-export function authenticateJWT(req, res, next) {
+export async function authenticateJWT(req, res, next) {
   const authHeader = req.headers.authorization;
 
   // Skip auth for public routes
-  if (req.path === '/health' || req.path === '/metrics') {
+  if (isPublicPath(req.path)) {
     return next();
   }
 
@@ -36,29 +49,88 @@ export function authenticateJWT(req, res, next) {
     return res.status(401).json({ error: 'Invalid token format' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Attach user info to request
-    req.user = decoded;
-    req.user.authenticated = true;
-    
-    next();
+    decoded = await verifyJwt(token, JWT_SECRET);
   } catch (err) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  // Attach user info to request
+  req.user = decoded;
+  req.user.authenticated = true;
+
+  next();
 }
 
+/**
+ * OAuth2 Authentication: bearer tokens validated by the authorization
+ * server's introspection endpoint
+ */
+export async function authenticateOAuth2(req, res, next) {
+  const token = (req.headers.authorization || '').slice('Bearer '.length).trim();
+
+  if (!token) {
+    return res.status(401).json({ error: 'Invalid token format' });
+  }
+
+  let user;
+  try {
+    user = await introspectToken(token);
+  } catch (err) {
+    if (!(err instanceof IntrospectionError)) return next(err);
+    console.error(err.message);
+    return res.status(503).json({ error: 'Token introspection unavailable' });
+  }
+
+  if (!user) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = { ...user, authenticated: true };
+  next();
+}
+
+// Opaque tokens go to introspection; JWTs are verified locally when allowed
+const looksLikeJwt = (token) => token.split('.').length === 3;
+
 /**
  * API Key Authentication
+ * Managed keys (gw_...) carry their own role, scopes, route/method
+ * restrictions, rate limit and quota; VALID_API_KEYS entries are all 'api-consumer'
  */
-export function authenticateAPIKey(req, res, next) {
+export async function authenticateAPIKey(req, res, next) {
   const apiKey = req.headers['x-api-key'];
 
   if (!apiKey) {
     return res.status(401).json({ error: 'No API key provided' });
   }
 
+  if (isManagedApiKey(apiKey)) {
+    let record;
+    try {
+      record = await resolveApiKey(apiKey);
+    } catch (err) {
+      return next(err);
+    }
+
+    if (!record) {
+      return res.status(403).json({ error: 'Invalid API key' });
+    }
+
+    const route = matchRoute(req.path);
+    if (!apiKeyAllows(record, route ? route.path : null, req.method)) {
+      return res.status(403).json({ error: 'API key not allowed for this route or method' });
+    }
+
+    req.user = { apiKeyId: record.id, owner: record.owner, role: record.role, scopes: record.scopes, authenticated: true };
+
+    if (await applyApiKeyLimits(req, res, record)) {
+      next();
+    }
+    return;
+  }
+
   if (!API_KEYS.has(apiKey)) {
     return res.status(403).json({ error: 'Invalid API key' });
   }
@@ -68,25 +140,75 @@ export function authenticateAPIKey(req, res, next) {
 }
 
 /**
- * Combined Authentication (JWT or API Key)
+ * Client Certificate Authentication
+ * Certificates verified against TLS_CA; identity from the SAN or CN, role
+ * from TLS_CLIENT_ROLES
+ */
+export function authenticateClientCert(req, res, next) {
+  const client = getClientIdentity(req);
+
+  if (!client) {
+    return res.status(401).json({ error: 'No verified client certificate' });
+  }
+
+  req.user = { userId: client.identity, role: client.role, certificate: client.certificate, authenticated: true };
+  next();
+}
+
+/**
+ * Combined Authentication (JWT, API Key, OAuth2 or client certificate)
+ * Allowed methods, required roles and per-method policy rules come from the
+ * matched route's auth options (see policies.js)
  */
 export function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
   const apiKey = req.headers['x-api-key'];
 
   // Skip auth for public routes
-  if (req.path === '/health' || req.path === '/metrics') {
+  if (isPublicPath(req.path)) {
+    return next();
+  }
+
+  const route = matchRoute(req.path);
+  const policy = route ? route.auth : getConfig().defaults.auth;
+
+  if (policy.public) {
     return next();
   }
 
-  // Try JWT first
+  // Enforce route roles and policy rules once the caller is identified
+  const proceed = () => {
+    const caller = { role: req.user.role, scopes: getCallerScopes(req.user) };
+    const decision = evaluateAccess(policy, { method: req.method, path: req.path }, caller);
+
+    if (!decision.allowed) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+
   if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authenticateJWT(req, res, next);
+    const allowsJwt = policy.methods.includes('jwt');
+
+    if (policy.methods.includes('oauth2') && isIntrospectionEnabled() &&
+      (!allowsJwt || !looksLikeJwt(authHeader.slice('Bearer '.length).trim()))) {
+      return authenticateOAuth2(req, res, proceed);
+    }
+
+    // Try JWT first
+    if (allowsJwt) {
+      return authenticateJWT(req, res, proceed);
+    }
   }
 
   // Try API Key
-  if (apiKey) {
-    return authenticateAPIKey(req, res, next);
+  if (policy.methods.includes('apiKey') && apiKey) {
+    return authenticateAPIKey(req, res, proceed);
+  }
+
+  // Verified client certificate, when no other credentials were presented
+  if (policy.methods.includes('mtls') && !authHeader && !apiKey && getClientIdentity(req)) {
+    return authenticateClientCert(req, res, proceed);
   }
 
   return res.status(401).json({ error: 'Authentication required' });
@@ -111,13 +233,59 @@ export function authorize(...allowedRoles) {
   };
 }
 
+/**
+ * Scopes granted to the caller: the JWT `scope` claim (space separated) or `scopes` array
+ */
+export function getCallerScopes(user) {
+  if (!user) return [];
+  if (Array.isArray(user.scopes)) return user.scopes;
+  return typeof user.scope === 'string' ? user.scope.split(' ').filter(Boolean) : [];
+}
+
+/**
+ * Admin API access control. GET/HEAD/OPTIONS need read access, anything
+ * else write access - granted by role (ADMIN_READ_ROLES / ADMIN_WRITE_ROLES)
+ * or by the admin:read / admin:write scopes.
+ */
+export function authorizeAdmin(req, res, next) {
+  const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+  const roles = access === 'read' ? [...ADMIN_READ_ROLES, ...ADMIN_WRITE_ROLES] : ADMIN_WRITE_ROLES;
+  const scopes = access === 'read' ? [ADMIN_SCOPES.read, ADMIN_SCOPES.write] : [ADMIN_SCOPES.write];
+
+  const callerScopes = getCallerScopes(req.user);
+  if (scopes.some(scope => callerScopes.includes(scope))) {
+    return next();
+  }
+
+  authorize(...roles)(req, res, next);
+}
+
+/**
+ * Short identity of the authenticated caller (for revision/audit records)
+ */
+export function describeCaller(req) {
+  if (!req.user) return 'anonymous';
+  if (req.user.clientId) return `client:${req.user.clientId}`;
+  if (req.user.apiKeyId) return `api-key:${req.user.apiKeyId}`;
+  if (req.user.certificate) return `cert:${req.user.userId}`;
+  if (req.user.userId) return `user:${req.user.userId}`;
+  if (req.user.apiKey) return `api-key:${req.user.apiKey.slice(0, 4)}…`;
+  return 'unknown';
+}
+
+/**
+ * Sign a JWT with the gateway's key (iss: JWT_ISSUER)
+ */
+export function signToken(claims, options = {}) {
+  return jwt.sign(claims, JWT_SECRET, { issuer: LOCAL_ISSUER, ...options });
+}
+
 /**
  * Generate JWT Token (for testing)
  */
 export function generateToken(userId, role = 'user', expiresIn = '1h') {
-  return jwt.sign(
+  return signToken(
     { userId, role, iat: Math.floor(Date.now() / 1000) },
-    JWT_SECRET,
     { expiresIn }
   );
 }
@@ -125,9 +293,9 @@ export function generateToken(userId, role = 'user', expiresIn = '1h') {
 /**
  * Validate JWT Token
  */
-export function validateToken(token) {
+export async function validateToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return await verifyJwt(token, JWT_SECRET);
   } catch (err) {
     return null;
   }
@@ -1,23 +1,189 @@
 /**
  * Caching Layer Module
  * Supports: TTL-based cache, selective caching by route, cache invalidation
+ * Storage: in-memory (per instance) or Redis (shared across gateway replicas)
  */
 
-const cache = new Map();
-const cacheMetadata = new Map();
+import crypto from 'crypto';
+import { matchRoute } from './config.js';
+import { recordCacheLookup } from './logger.js';
 
-// Configuration for which routes are cacheable
-const CACHEABLE_ROUTES = [
-  '/products',
-  '/stats',
-  '/users' // Only for GET requests
-];
+const INVALIDATION_CHANNEL = 'gateway:cache:invalidate';
+const instanceId = crypto.randomUUID();
 
-const CACHE_DURATIONS = {
-  '/products': 5 * 60 * 1000, // 5 minutes
-  '/stats': 10 * 60 * 1000,   // 10 minutes
-  '/users': 2 * 60 * 1000     // 2 minutes
-};
+/**
+ * In-memory Cache Store
+ * Each gateway instance has its own copy
+ */
+export function createMemoryCacheStore() {
+  const cache = new Map();
+  const cacheMetadata = new Map();
+
+  return {
+    type: 'memory',
+    shared: false,
+
+    async get(key) {
+      const value = cache.get(key);
+      if (value === undefined) return null;
+
+      const metadata = cacheMetadata.get(key);
+      if (!metadata || Date.now() >= metadata.expiresAt) {
+        // Cache expired, remove it
+        cache.delete(key);
+        cacheMetadata.delete(key);
+        return null;
+      }
+
+      return { value, ...metadata };
+    },
+
+    async set(key, value, ttlMs) {
+      cache.set(key, value);
+      cacheMetadata.set(key, {
+        cachedAt: Date.now(),
+        expiresAt: Date.now() + ttlMs
+      });
+    },
+
+    async invalidate(pattern) {
+      if (!pattern) {
+        cache.clear();
+        cacheMetadata.clear();
+        return;
+      }
+
+      for (const [key] of cache.entries()) {
+        if (key.includes(pattern)) {
+          cache.delete(key);
+          cacheMetadata.delete(key);
+        }
+      }
+    },
+
+    async entries() {
+      return Array.from(cache.entries()).map(([key, value]) => ({
+        key,
+        value,
+        ...cacheMetadata.get(key)
+      }));
+    }
+  };
+}
+
+/**
+ * Escape Redis glob special characters
+ */
+function escapeGlob(pattern) {
+  return pattern.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Redis Cache Store
+ * One cache shared by every gateway replica; entries expire via Redis TTL.
+ * Lookups and writes reject after `timeoutMs`, so a slow or unreachable
+ * Redis turns into cache misses instead of held requests.
+ * @param {Object} client - Connected node-redis client (or compatible fake)
+ * @param {Object} options - { prefix, timeoutMs }
+ */
+export function createRedisCacheStore(client, { prefix = 'gateway:cache:', timeoutMs = 1000 } = {}) {
+  const withTimeout = (promise) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Redis did not answer within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  async function scanKeys(match) {
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: match, COUNT: 100 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  return {
+    type: 'redis',
+    shared: true,
+
+    async get(key) {
+      const raw = await withTimeout(client.get(`${prefix}${key}`));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      const entry = {
+        value,
+        cachedAt: Date.now(),
+        expiresAt: Date.now() + ttlMs
+      };
+      await withTimeout(client.set(`${prefix}${key}`, JSON.stringify(entry), { PX: ttlMs }));
+    },
+
+    async invalidate(pattern) {
+      const match = pattern ? `${prefix}*${escapeGlob(pattern)}*` : `${prefix}*`;
+      const keys = await scanKeys(match);
+
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+    },
+
+    async entries() {
+      const keys = await scanKeys(`${prefix}*`);
+      if (keys.length === 0) return [];
+
+      const values = await client.mGet(keys);
+      return keys
+        .map((key, i) => values[i] && { key: key.slice(prefix.length), ...JSON.parse(values[i]) })
+        .filter(Boolean);
+    }
+  };
+}
+
+let store = createMemoryCacheStore();
+let publisher = null;
+
+// Lookups served by this instance
+const lookups = { hits: 0, misses: 0 };
+
+/**
+ * Replace the cache storage backend
+ */
+export function setCacheStore(newStore) {
+  store = newStore;
+  console.log(`Cache using ${store.type} store`);
+}
+
+/**
+ * Broadcast invalidations to other gateway instances over Redis pub/sub.
+ * Needed when each instance keeps its own (in-memory) cache.
+ * @param {Object} client - Connected node-redis client used for publishing
+ */
+export async function enableCacheInvalidationBroadcast(client) {
+  const subscriber = client.duplicate();
+  subscriber.on('error', (err) => {
+    console.error('Cache invalidation subscriber error:', err.message);
+  });
+  await subscriber.connect();
+
+  await subscriber.subscribe(INVALIDATION_CHANNEL, (message) => {
+    try {
+      const { pattern, origin } = JSON.parse(message);
+      if (origin === instanceId) return;
+
+      store.invalidate(pattern || undefined).catch(err => {
+        console.error('Cache invalidation error:', err.message);
+      });
+    } catch (err) {
+      console.error('Invalid cache invalidation message:', err.message);
+    }
+  });
+
+  publisher = client;
+  console.log('Cache invalidation broadcast enabled');
+}
 
 /**
  * Cache Middleware
@@ -28,75 +194,85 @@ export function cacheMiddleware(req, res, next) {
     return next();
   }
 
-  const isCacheable = CACHEABLE_ROUTES.some(route => req.originalUrl.startsWith(route));
+  // Cacheability and TTL come from the route configuration
+  const route = matchRoute(req.path);
 
-  if (!isCacheable) {
+  if (!route || !route.cache) {
     return next();
   }
 
   const cacheKey = req.originalUrl;
-  const cachedData = cache.get(cacheKey);
 
-  // Check if cache exists and hasn't expired
-  if (cachedData) {
-    const metadata = cacheMetadata.get(cacheKey);
-    if (metadata && Date.now() < metadata.expiresAt) {
+  store.get(cacheKey).then(cached => {
+    // Check if cache exists and hasn't expired
+    if (cached && Date.now() < cached.expiresAt) {
+      recordCacheLookup(route.path, true);
+      lookups.hits++;
       res.set('X-Cache-Hit', 'true');
-      res.set('X-Cache-Age', Math.floor((Date.now() - metadata.cachedAt) / 1000));
-      return res.json(cachedData);
-    } else {
-      // Cache expired, remove it
-      cache.delete(cacheKey);
-      cacheMetadata.delete(cacheKey);
+      res.set('X-Cache-Age', Math.floor((Date.now() - cached.cachedAt) / 1000));
+      return res.json(cached.value);
     }
-  }
 
-  // Intercept the response
-  const originalSend = res.send;
-  res.send = function(data) {
+    recordCacheLookup(route.path, false);
+    lookups.misses++;
+    res.set('X-Cache-Hit', 'false');
+    captureResponse(res, cacheKey, route.cache.ttl);
+    next();
+  }).catch(err => {
+    console.error('Cache error:', err.message);
+    next();
+  });
+}
+
+/**
+ * Intercept the response body and store it once the response completes.
+ * Hooks write/end so both res.send() and proxied (piped) responses are seen.
+ */
+function captureResponse(res, cacheKey, ttl) {
+  const chunks = [];
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+
+  res.write = function(chunk, ...args) {
+    if (chunk) chunks.push(Buffer.from(chunk));
+    return originalWrite.call(this, chunk, ...args);
+  };
+
+  res.end = function(chunk, ...args) {
+    if (chunk && typeof chunk !== 'function') chunks.push(Buffer.from(chunk));
+
     try {
-      // Try to cache JSON responses
-      if (res.get('content-type')?.includes('application/json')) {
-        const jsonData = typeof data === 'string' ? JSON.parse(data) : data;
-        
-        // Get cache duration based on route
-        const cacheDuration = CACHE_DURATIONS[
-          Object.keys(CACHE_DURATIONS).find(route => req.originalUrl.startsWith(route))
-        ] || 5 * 60 * 1000;
-
-        cache.set(cacheKey, jsonData);
-        cacheMetadata.set(cacheKey, {
-          cachedAt: Date.now(),
-          expiresAt: Date.now() + cacheDuration
-        });
+      const contentType = res.get('content-type');
+      const isJson = contentType && contentType.includes('application/json');
 
-        res.set('X-Cache-Hit', 'false');
+      // Only cache successful, uncompressed JSON responses
+      if (isJson && res.statusCode >= 200 && res.statusCode < 300 && !res.get('content-encoding')) {
+        const jsonData = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+
+        store.set(cacheKey, jsonData, ttl).catch(err => {
+          console.error('Cache error:', err.message);
+        });
       }
     } catch (err) {
       console.error('Cache error:', err.message);
     }
 
-    return originalSend.call(this, data);
+    return originalEnd.call(this, chunk, ...args);
   };
-
-  next();
 }
 
 /**
  * Invalidate cache for a specific route or key
  */
-export function invalidateCache(pattern) {
-  if (!pattern) {
-    cache.clear();
-    cacheMetadata.clear();
-    return;
-  }
+export async function invalidateCache(pattern) {
+  await store.invalidate(pattern);
 
-  for (const [key] of cache.entries()) {
-    if (key.includes(pattern)) {
-      cache.delete(key);
-      cacheMetadata.delete(key);
-    }
+  // A shared store is already invalid for everyone
+  if (publisher && !store.shared) {
+    await publisher.publish(INVALIDATION_CHANNEL, JSON.stringify({
+      pattern: pattern || null,
+      origin: instanceId
+    }));
   }
 }
 
@@ -107,7 +283,9 @@ export function cacheInvalidationMiddleware(req, res, next) {
   if (['POST', 'PUT', 'DELETE', 'PATCH'].includes(req.method)) {
     // Invalidate related caches
     const baseRoute = req.path.split('/').slice(0, 2).join('/');
-    invalidateCache(baseRoute);
+    invalidateCache(baseRoute).catch(err => {
+      console.error('Cache invalidation error:', err.message);
+    });
   }
   next();
 }
@@ -115,14 +293,21 @@ export function cacheInvalidationMiddleware(req, res, next) {
 /**
  * Get cache statistics
  */
-export function getCacheStats() {
+export async function getCacheStats() {
+  const entries = await store.entries();
   const stats = {
-    totalCachedItems: cache.size,
+    store: store.type,
+    totalCachedItems: entries.length,
     cachedRoutes: {},
-    estimatedSize: 0
+    estimatedSize: 0,
+    hits: lookups.hits,
+    misses: lookups.misses,
+    hitRatio: lookups.hits + lookups.misses > 0
+      ? Number((lookups.hits / (lookups.hits + lookups.misses)).toFixed(4))
+      : null
   };
 
-  for (const [key, value] of cache.entries()) {
+  for (const { key, value } of entries) {
     const route = key.split('?')[0];
     stats.cachedRoutes[route] = (stats.cachedRoutes[route] || 0) + 1;
     stats.estimatedSize += JSON.stringify(value).length;
@@ -134,25 +319,20 @@ export function getCacheStats() {
 /**
  * Clear all cache
  */
-export function clearCache() {
-  cache.clear();
-  cacheMetadata.clear();
+export async function clearCache() {
+  await invalidateCache();
 }
 
 /**
  * Get cache details
  */
-export function getCacheDetails() {
-  const details = [];
-  for (const [key, value] of cache.entries()) {
-    const metadata = cacheMetadata.get(key);
-    details.push({
-      key,
-      cachedAt: metadata?.cachedAt,
-      expiresAt: metadata?.expiresAt,
-      expired: metadata && Date.now() >= metadata.expiresAt,
-      size: JSON.stringify(value).length
-    });
-  }
-  return details;
+export async function getCacheDetails() {
+  const entries = await store.entries();
+  return entries.map(({ key, value, cachedAt, expiresAt }) => ({
+    key,
+    cachedAt,
+    expiresAt,
+    expired: expiresAt !== undefined && Date.now() >= expiresAt,
+    size: JSON.stringify(value).length
+  }));
 }
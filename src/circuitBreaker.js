@@ -0,0 +1,251 @@
+/**
+ * Circuit Breaker Module
+ * One breaker per upstream, fed by live proxy outcomes
+ * States: closed (normal) -> open (rejecting) -> half-open (probing) -> closed
+ */
+
+import { emitGatewayEvent } from './events.js';
+import { getConfig } from './config.js';
+
+const BUCKETS_PER_WINDOW = 10;
+
+const circuits = {};
+
+/**
+ * Get or create the breaker for an upstream
+ */
+function getCircuit(upstream) {
+  if (!circuits[upstream]) {
+    circuits[upstream] = {
+      state: 'closed',
+      consecutiveFailures: 0,
+      buckets: new Map(),
+      openedAt: null,
+      openUntil: null,
+      halfOpenInFlight: 0,
+      halfOpenSuccesses: 0,
+      trips: 0,
+      lastTransition: null,
+      options: null
+    };
+  }
+  return circuits[upstream];
+}
+
+/**
+ * Breaker settings of an upstream. Routes that share an upstream share its
+ * breaker, so the first route listing it (in matching order) decides -
+ * not whichever route happened to send the latest request.
+ */
+function getCircuitOptions(upstream) {
+  const config = getConfig();
+  const route = config.routes.find(candidate => candidate.upstreams.some(({ url }) => url === upstream));
+  return route ? route.circuitBreaker : config.defaults.circuitBreaker;
+}
+
+/**
+ * Requests and failures within the rolling window.
+ * Counts are kept in a few time buckets so memory does not grow with traffic.
+ */
+function getWindowCounts(circuit, windowMs, now = Date.now()) {
+  const bucketMs = Math.max(Math.floor(windowMs / BUCKETS_PER_WINDOW), 1);
+  const oldest = Math.floor((now - windowMs) / bucketMs);
+  let requests = 0;
+  let failures = 0;
+
+  for (const [bucket, counts] of circuit.buckets) {
+    if (bucket <= oldest) {
+      circuit.buckets.delete(bucket);
+    } else {
+      requests += counts.requests;
+      failures += counts.failures;
+    }
+  }
+
+  return { requests, failures };
+}
+
+function addToWindow(circuit, windowMs, failed, now = Date.now()) {
+  const bucketMs = Math.max(Math.floor(windowMs / BUCKETS_PER_WINDOW), 1);
+  const bucket = Math.floor(now / bucketMs);
+  const counts = circuit.buckets.get(bucket) || { requests: 0, failures: 0 };
+
+  counts.requests++;
+  if (failed) counts.failures++;
+  circuit.buckets.set(bucket, counts);
+}
+
+function transition(upstream, circuit, state, reason) {
+  circuit.state = state;
+  circuit.lastTransition = new Date();
+
+  if (state === 'open') {
+    circuit.trips++;
+    circuit.openedAt = new Date();
+    circuit.openUntil = new Date(Date.now() + circuit.options.openMs);
+    console.log(`⚡ Circuit opened for ${upstream}: ${reason}`);
+  } else if (state === 'half-open') {
+    circuit.halfOpenInFlight = 0;
+    circuit.halfOpenSuccesses = 0;
+    console.log(`Circuit half-open for ${upstream}, probing`);
+  } else {
+    circuit.consecutiveFailures = 0;
+    circuit.buckets.clear();
+    circuit.openedAt = null;
+    circuit.openUntil = null;
+    console.log(`✓ Circuit closed for ${upstream}`);
+  }
+
+  emitGatewayEvent(`circuit.${state}`, {
+    service: upstream,
+    ...(reason && { reason }),
+    ...(state === 'open' && { openUntil: circuit.openUntil })
+  });
+}
+
+/**
+ * Whether a request may be sent to the upstream right now.
+ * An open circuit moves to half-open once its open period has elapsed.
+ */
+export function isCircuitAvailable(upstream) {
+  const circuit = circuits[upstream];
+  if (!circuit || circuit.state === 'closed') return true;
+
+  const options = getCircuitOptions(upstream);
+  if (!options.enabled) return true;
+  circuit.options = options;
+
+  if (circuit.state === 'open') {
+    if (Date.now() < circuit.openUntil.getTime()) return false;
+    transition(upstream, circuit, 'half-open');
+  }
+
+  return circuit.halfOpenInFlight < options.halfOpenMaxProbes;
+}
+
+/**
+ * Mark the start of a proxied request (claims a probe slot when half-open)
+ */
+export function onRequestStart(upstream) {
+  const options = getCircuitOptions(upstream);
+  if (!options.enabled) return;
+
+  const circuit = getCircuit(upstream);
+  circuit.options = options;
+
+  if (circuit.state === 'half-open') {
+    circuit.halfOpenInFlight++;
+  }
+}
+
+/**
+ * Release a probe slot for a request that ended without an outcome
+ * (e.g. the client went away)
+ */
+export function onRequestCancelled(upstream) {
+  const circuit = circuits[upstream];
+  if (circuit && circuit.state === 'half-open' && circuit.halfOpenInFlight > 0) {
+    circuit.halfOpenInFlight--;
+  }
+}
+
+/**
+ * Record the outcome of a proxied request
+ * @param {string} upstream - Upstream URL
+ * @param {Object} outcome - { success, latencyMs }
+ */
+export function recordOutcome(upstream, { success, latencyMs }) {
+  const options = getCircuitOptions(upstream);
+  if (!options.enabled) return;
+
+  const circuit = getCircuit(upstream);
+  circuit.options = options;
+
+  // Slow calls count as failures
+  const failed = !success ||
+    (options.latencyThresholdMs !== null && latencyMs > options.latencyThresholdMs);
+
+  if (circuit.state === 'half-open') {
+    if (circuit.halfOpenInFlight > 0) circuit.halfOpenInFlight--;
+
+    if (failed) {
+      return transition(upstream, circuit, 'open', 'probe failed');
+    }
+
+    circuit.halfOpenSuccesses++;
+    if (circuit.halfOpenSuccesses >= options.halfOpenMaxProbes) {
+      transition(upstream, circuit, 'closed');
+    }
+    return;
+  }
+
+  // Late outcomes of requests sent before the circuit opened
+  if (circuit.state === 'open') return;
+
+  addToWindow(circuit, options.windowMs, failed);
+  circuit.consecutiveFailures = failed ? circuit.consecutiveFailures + 1 : 0;
+
+  if (circuit.consecutiveFailures >= options.failureThreshold) {
+    return transition(upstream, circuit, 'open', `${circuit.consecutiveFailures} consecutive failures`);
+  }
+
+  const { requests, failures } = getWindowCounts(circuit, options.windowMs);
+  const errorRate = requests > 0 ? failures / requests * 100 : 0;
+
+  if (requests >= options.minimumRequests && errorRate >= options.errorRateThreshold) {
+    transition(upstream, circuit, 'open', `error rate ${errorRate.toFixed(1)}% over ${requests} requests`);
+  }
+}
+
+/**
+ * Get the breaker state of one upstream
+ */
+export function getCircuitState(upstream) {
+  const circuit = circuits[upstream];
+
+  if (!circuit) {
+    return { state: 'closed', trips: 0 };
+  }
+
+  const { requests, failures } = circuit.options
+    ? getWindowCounts(circuit, circuit.options.windowMs)
+    : { requests: 0, failures: 0 };
+
+  return {
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    windowRequests: requests,
+    windowErrorRate: requests > 0 ? (failures / requests * 100).toFixed(2) + '%' : '0%',
+    openedAt: circuit.openedAt,
+    openUntil: circuit.openUntil,
+    halfOpenInFlight: circuit.halfOpenInFlight,
+    trips: circuit.trips,
+    lastTransition: circuit.lastTransition
+  };
+}
+
+/**
+ * Get breaker states of all upstreams
+ */
+export function getCircuitStates() {
+  return Object.fromEntries(
+    Object.keys(circuits).map(upstream => [upstream, getCircuitState(upstream)])
+  );
+}
+
+/**
+ * Force a breaker back to closed (e.g. after manual intervention)
+ */
+export function resetCircuit(upstream) {
+  const circuit = circuits[upstream];
+  if (circuit && circuit.state !== 'closed') {
+    transition(upstream, circuit, 'closed');
+  }
+}
+
+/**
+ * Forget the breaker of an upstream that is no longer routed
+ */
+export function removeCircuit(upstream) {
+  delete circuits[upstream];
+}
@@ -0,0 +1,973 @@
+/**
+ * Route Configuration Module
+ * Loads and validates the declarative per-route gateway configuration
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { STRATEGIES } from './loadBalancer.js';
+import { checkPolicyPath } from './policies.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_PATH = process.env.ROUTES_CONFIG || path.join(__dirname, '../config/routes.json');
+
+export const AUTH_METHODS = ['jwt', 'apiKey', 'oauth2', 'mtls'];
+
+const ROUTE_KEYS = ['upstreams', 'strategy', 'hashKey', 'timeout', 'retry', 'circuitBreaker', 'outlierDetection', 'healthCheck', 'tls', 'cache', 'rateLimit', 'auth', 'headers'];
+const HASH_KEY_SOURCES = ['user', 'header', 'cookie', 'ip'];
+const HEALTH_CHECK_TYPES = ['http', 'tcp'];
+const HTTP_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const RETRYABLE_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENOTFOUND', 'EPIPE', 'timeout'];
+const DEFAULT_KEYS = ROUTE_KEYS.filter(key => key !== 'upstreams');
+
+// Used for anything the config file does not set
+const BUILT_IN_DEFAULTS = {
+  strategy: 'round-robin',
+  hashKey: { source: 'user', name: null },
+  timeout: 10000,
+  // attempts: 1 means no retries; only idempotent methods by default
+  retry: {
+    attempts: 1,
+    retryOn: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'timeout', 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    backoff: { baseMs: 50, maxMs: 1000 },
+    jitter: true
+  },
+  // Trips on consecutive failures or on error rate once minimumRequests is reached
+  circuitBreaker: {
+    enabled: true,
+    failureThreshold: 5,
+    errorRateThreshold: 50,
+    minimumRequests: 20,
+    windowMs: 30000,
+    latencyThresholdMs: null,
+    openMs: 30000,
+    halfOpenMaxProbes: 3
+  },
+  // Ejects upstreams whose 5xx rate or p99 latency stands out from their peers
+  outlierDetection: {
+    enabled: true,
+    minimumRequests: 20,
+    errorRateThreshold: 30,
+    latencyFactor: 5,
+    baseEjectionMs: 30000,
+    maxEjectionMs: 300000,
+    maxEjectionPercent: 50
+  },
+  // Active checks; rise/fall are consecutive results needed to change state
+  healthCheck: {
+    enabled: true,
+    type: 'http',
+    path: '/health',
+    method: 'GET',
+    headers: {},
+    expectedStatus: { min: 200, max: 299 },
+    body: null,
+    rise: 2,
+    fall: 3,
+    intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 10000,
+    timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT, 10) || 5000
+  },
+  // https:// upstreams: trusted CA bundle(s), client certificate (mTLS), SNI
+  // name override and certificate verification (PEM file paths)
+  tls: {
+    ca: null,
+    cert: null,
+    key: null,
+    servername: null,
+    rejectUnauthorized: true
+  },
+  cache: false,
+  rateLimit: { ip: 100, user: 200, windowMs: 60000 },
+  // policies: ordered rules, the first matching method + path applies
+  auth: { public: false, methods: [...AUTH_METHODS], roles: [], policies: [] },
+  headers: {
+    request: { set: {}, remove: [] },
+    response: { set: {}, remove: [] }
+  }
+};
+
+const BUILT_IN_PUBLIC_PATHS = ['/health', '/metrics'];
+
+let activeConfig = null;
+let activeVersion = null;
+let versionCounter = 0;
+let fileChecksum = null;
+let watcher = null;
+const changeListeners = [];
+
+/**
+ * Thrown when the configuration does not match the schema.
+ * `errors` lists every problem, each prefixed with the offending location.
+ */
+export class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid gateway configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+function checkKeys(where, value, allowed, errors) {
+  Object.keys(value)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`${where}.${key}: unknown option`));
+}
+
+function validateUpstreams(where, upstreams, errors) {
+  if (!Array.isArray(upstreams) || upstreams.length === 0) {
+    errors.push(`${where}: must be a non-empty array`);
+    return [];
+  }
+
+  return upstreams.map((upstream, i) => {
+    const at = `${where}[${i}]`;
+    const definition = typeof upstream === 'string' ? { url: upstream } : upstream;
+
+    if (!isPlainObject(definition)) {
+      errors.push(`${at}: must be a URL string or an object with a url`);
+      return null;
+    }
+
+    checkKeys(at, definition, ['url', 'weight', 'healthCheck', 'tls'], errors);
+
+    if (typeof definition.url !== 'string') {
+      errors.push(`${at}.url: must be an http(s) URL string, got ${JSON.stringify(definition.url)}`);
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(definition.url);
+    } catch (err) {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`${at}.url: must be an http(s) URL, got ${JSON.stringify(definition.url)}`);
+    }
+
+    const weight = definition.weight ?? 1;
+    if (!isPositiveInteger(weight)) {
+      errors.push(`${at}.weight: must be a positive integer`);
+    }
+
+    if (definition.tls !== undefined && url && url.protocol !== 'https:') {
+      errors.push(`${at}.tls: only applies to https:// upstreams`);
+    }
+
+    // Per-upstream healthCheck and tls are resolved against the route's in validateRoute
+    return {
+      url: definition.url.replace(/\/+$/, ''),
+      weight,
+      ...(definition.healthCheck !== undefined && { healthCheck: definition.healthCheck }),
+      ...(definition.tls !== undefined && { tls: definition.tls })
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Retry policy: { attempts, retryOn, methods, backoff: { baseMs, maxMs }, jitter }
+ */
+function validateRetry(where, retry, base, errors) {
+  if (!isPlainObject(retry)) {
+    errors.push(`${where}: must be an object`);
+    return base;
+  }
+
+  checkKeys(where, retry, ['attempts', 'retryOn', 'methods', 'backoff', 'jitter'], errors);
+
+  const merged = { ...base, ...retry, backoff: { ...base.backoff, ...retry.backoff } };
+
+  if (!isPositiveInteger(merged.attempts) || merged.attempts > 10) {
+    errors.push(`${where}.attempts: must be an integer from 1 (no retries) to 10`);
+  }
+
+  if (!Array.isArray(merged.retryOn) || merged.retryOn.some(code =>
+    !(Number.isInteger(code) && code >= 400 && code <= 599) && !RETRYABLE_ERRORS.includes(code))) {
+    errors.push(`${where}.retryOn: must list HTTP status codes (4xx/5xx) and/or ${RETRYABLE_ERRORS.join(', ')}`);
+  }
+
+  if (!Array.isArray(merged.methods) || merged.methods.some(method => !HTTP_METHODS.includes(method))) {
+    errors.push(`${where}.methods: must be an array of ${HTTP_METHODS.join(', ')}`);
+  }
+
+  if (!isPlainObject(retry.backoff ?? {})) {
+    errors.push(`${where}.backoff: must be an object with baseMs and maxMs`);
+  } else {
+    checkKeys(`${where}.backoff`, retry.backoff ?? {}, ['baseMs', 'maxMs'], errors);
+    const { baseMs, maxMs } = merged.backoff;
+    if (!Number.isInteger(baseMs) || baseMs < 0) {
+      errors.push(`${where}.backoff.baseMs: must be a non-negative integer (milliseconds)`);
+    }
+    if (!Number.isInteger(maxMs) || maxMs < baseMs) {
+      errors.push(`${where}.backoff.maxMs: must be an integer >= baseMs (milliseconds)`);
+    }
+  }
+
+  if (typeof merged.jitter !== 'boolean') {
+    errors.push(`${where}.jitter: must be a boolean`);
+  }
+
+  return merged;
+}
+
+/**
+ * Circuit breaker: { enabled, failureThreshold, errorRateThreshold, minimumRequests,
+ * windowMs, latencyThresholdMs, openMs, halfOpenMaxProbes }
+ */
+function validateCircuitBreaker(where, circuitBreaker, base, errors) {
+  if (circuitBreaker === false) {
+    return { ...base, enabled: false };
+  }
+
+  if (!isPlainObject(circuitBreaker)) {
+    errors.push(`${where}: must be false or an object`);
+    return base;
+  }
+
+  checkKeys(where, circuitBreaker, Object.keys(BUILT_IN_DEFAULTS.circuitBreaker), errors);
+
+  const merged = { ...base, ...circuitBreaker };
+
+  if (typeof merged.enabled !== 'boolean') {
+    errors.push(`${where}.enabled: must be a boolean`);
+  }
+
+  ['failureThreshold', 'minimumRequests', 'windowMs', 'openMs', 'halfOpenMaxProbes'].forEach(key => {
+    if (!isPositiveInteger(merged[key])) {
+      errors.push(`${where}.${key}: must be a positive integer`);
+    }
+  });
+
+  if (typeof merged.errorRateThreshold !== 'number' || merged.errorRateThreshold <= 0 || merged.errorRateThreshold > 100) {
+    errors.push(`${where}.errorRateThreshold: must be a percentage above 0 and at most 100`);
+  }
+
+  if (merged.latencyThresholdMs !== null && !isPositiveInteger(merged.latencyThresholdMs)) {
+    errors.push(`${where}.latencyThresholdMs: must be null or a positive integer (milliseconds)`);
+  }
+
+  return merged;
+}
+
+/**
+ * Active health check: { enabled, type, path, method, headers, expectedStatus: { min, max },
+ * body, rise, fall, intervalMs, timeoutMs }
+ */
+function validateHealthCheck(where, healthCheck, base, errors) {
+  if (healthCheck === false) {
+    return { ...base, enabled: false };
+  }
+
+  if (!isPlainObject(healthCheck)) {
+    errors.push(`${where}: must be false or an object`);
+    return base;
+  }
+
+  checkKeys(where, healthCheck, Object.keys(BUILT_IN_DEFAULTS.healthCheck), errors);
+
+  const merged = {
+    ...base,
+    ...healthCheck,
+    expectedStatus: { ...base.expectedStatus, ...healthCheck.expectedStatus }
+  };
+
+  if (typeof merged.enabled !== 'boolean') {
+    errors.push(`${where}.enabled: must be a boolean`);
+  }
+
+  if (!HEALTH_CHECK_TYPES.includes(merged.type)) {
+    errors.push(`${where}.type: must be one of ${HEALTH_CHECK_TYPES.join(', ')}`);
+  }
+
+  if (typeof merged.path !== 'string' || !merged.path.startsWith('/')) {
+    errors.push(`${where}.path: must start with "/"`);
+  }
+
+  if (!HTTP_METHODS.includes(merged.method)) {
+    errors.push(`${where}.method: must be one of ${HTTP_METHODS.join(', ')}`);
+  }
+
+  if (!isPlainObject(merged.headers) || Object.values(merged.headers).some(value => typeof value !== 'string')) {
+    errors.push(`${where}.headers: must be an object of header name -> string value`);
+  }
+
+  const { min, max } = merged.expectedStatus;
+  if (!isPlainObject(healthCheck.expectedStatus ?? {}) ||
+    !Number.isInteger(min) || !Number.isInteger(max) || min < 100 || max > 599 || min > max) {
+    errors.push(`${where}.expectedStatus: must be { min, max } with 100 <= min <= max <= 599`);
+  }
+
+  ['rise', 'fall', 'intervalMs', 'timeoutMs'].forEach(key => {
+    if (!isPositiveInteger(merged[key])) {
+      errors.push(`${where}.${key}: must be a positive integer`);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Upstream TLS: { ca, cert, key, servername, rejectUnauthorized }. `ca` is a
+ * PEM file or a list of them (replacing the system CAs); cert and key go
+ * together. Files must exist (relative paths are from the working directory).
+ */
+function validateTls(where, tls, base, errors) {
+  if (!isPlainObject(tls)) {
+    errors.push(`${where}: must be an object`);
+    return base;
+  }
+
+  checkKeys(where, tls, Object.keys(BUILT_IN_DEFAULTS.tls), errors);
+
+  const merged = { ...base, ...tls };
+  const checkFile = (key, file) => {
+    if (typeof file !== 'string' || file.length === 0) {
+      errors.push(`${where}.${key}: must be a file path`);
+    } else if (!fs.existsSync(file)) {
+      errors.push(`${where}.${key}: file not found: ${file}`);
+    }
+  };
+
+  if (merged.ca !== null) {
+    const files = [].concat(merged.ca);
+    if (files.length === 0) errors.push(`${where}.ca: must be null, a file path or a non-empty array of file paths`);
+    files.forEach(file => checkFile('ca', file));
+  }
+
+  if ((merged.cert === null) !== (merged.key === null)) {
+    errors.push(`${where}: cert and key must be set together`);
+  }
+  ['cert', 'key'].forEach(key => {
+    if (merged[key] !== null) checkFile(key, merged[key]);
+  });
+
+  if (merged.servername !== null && (typeof merged.servername !== 'string' || merged.servername.length === 0)) {
+    errors.push(`${where}.servername: must be null or a hostname`);
+  }
+
+  if (typeof merged.rejectUnauthorized !== 'boolean') {
+    errors.push(`${where}.rejectUnauthorized: must be a boolean`);
+  }
+
+  return merged;
+}
+
+/**
+ * Outlier detection: { enabled, minimumRequests, errorRateThreshold, latencyFactor,
+ * baseEjectionMs, maxEjectionMs, maxEjectionPercent }
+ */
+function validateOutlierDetection(where, outlierDetection, base, errors) {
+  if (outlierDetection === false) {
+    return { ...base, enabled: false };
+  }
+
+  if (!isPlainObject(outlierDetection)) {
+    errors.push(`${where}: must be false or an object`);
+    return base;
+  }
+
+  checkKeys(where, outlierDetection, Object.keys(BUILT_IN_DEFAULTS.outlierDetection), errors);
+
+  const merged = { ...base, ...outlierDetection };
+
+  if (typeof merged.enabled !== 'boolean') {
+    errors.push(`${where}.enabled: must be a boolean`);
+  }
+
+  ['minimumRequests', 'baseEjectionMs', 'maxEjectionMs'].forEach(key => {
+    if (!isPositiveInteger(merged[key])) {
+      errors.push(`${where}.${key}: must be a positive integer`);
+    }
+  });
+
+  if (merged.maxEjectionMs < merged.baseEjectionMs) {
+    errors.push(`${where}.maxEjectionMs: must be >= baseEjectionMs`);
+  }
+
+  if (typeof merged.errorRateThreshold !== 'number' || merged.errorRateThreshold <= 0 || merged.errorRateThreshold > 100) {
+    errors.push(`${where}.errorRateThreshold: must be a percentage above 0 and at most 100`);
+  }
+
+  if (merged.latencyFactor !== null && (typeof merged.latencyFactor !== 'number' || merged.latencyFactor <= 1)) {
+    errors.push(`${where}.latencyFactor: must be null or a number above 1`);
+  }
+
+  if (typeof merged.maxEjectionPercent !== 'number' || merged.maxEjectionPercent < 0 || merged.maxEjectionPercent > 100) {
+    errors.push(`${where}.maxEjectionPercent: must be a percentage from 0 to 100`);
+  }
+
+  return merged;
+}
+
+/**
+ * Key used by the consistent-hash strategy: { source, name }
+ */
+function validateHashKey(where, hashKey, errors) {
+  if (!isPlainObject(hashKey)) {
+    errors.push(`${where}: must be an object with source (and name for header/cookie)`);
+    return BUILT_IN_DEFAULTS.hashKey;
+  }
+
+  checkKeys(where, hashKey, ['source', 'name'], errors);
+
+  if (!HASH_KEY_SOURCES.includes(hashKey.source)) {
+    errors.push(`${where}.source: must be one of ${HASH_KEY_SOURCES.join(', ')}`);
+  }
+
+  const needsName = hashKey.source === 'header' || hashKey.source === 'cookie';
+  if (needsName && (typeof hashKey.name !== 'string' || hashKey.name === '')) {
+    errors.push(`${where}.name: required for source "${hashKey.source}"`);
+  }
+
+  // Header names are case-insensitive, cookie names are not
+  let name = needsName && typeof hashKey.name === 'string' ? hashKey.name : null;
+  if (name && hashKey.source === 'header') {
+    name = name.toLowerCase();
+  }
+
+  return { source: hashKey.source, name };
+}
+
+function validateRateLimit(where, rateLimit, base, errors) {
+  if (rateLimit === false) return false;
+
+  if (!isPlainObject(rateLimit)) {
+    errors.push(`${where}: must be false or an object with ip, user and windowMs`);
+    return base;
+  }
+
+  checkKeys(where, rateLimit, ['ip', 'user', 'windowMs'], errors);
+
+  const merged = { ...(base || BUILT_IN_DEFAULTS.rateLimit), ...rateLimit };
+  ['ip', 'user', 'windowMs'].forEach(key => {
+    if (!isPositiveInteger(merged[key])) {
+      errors.push(`${where}.${key}: must be a positive integer`);
+    }
+  });
+
+  return merged;
+}
+
+function validateAuth(where, auth, base, errors) {
+  if (!isPlainObject(auth)) {
+    errors.push(`${where}: must be an object`);
+    return base;
+  }
+
+  checkKeys(where, auth, ['public', 'methods', 'roles', 'policies'], errors);
+
+  const merged = { ...base, ...auth };
+
+  if (typeof merged.public !== 'boolean') {
+    errors.push(`${where}.public: must be a boolean`);
+  }
+
+  if (!Array.isArray(merged.methods) || merged.methods.length === 0 ||
+      merged.methods.some(method => !AUTH_METHODS.includes(method))) {
+    errors.push(`${where}.methods: must be a non-empty array of ${AUTH_METHODS.join(', ')}`);
+  }
+
+  if (!Array.isArray(merged.roles) || merged.roles.some(role => typeof role !== 'string')) {
+    errors.push(`${where}.roles: must be an array of role names`);
+  }
+
+  if (!Array.isArray(merged.policies)) {
+    errors.push(`${where}.policies: must be an array of rules`);
+  } else {
+    merged.policies.forEach((rule, index) => validatePolicyRule(`${where}.policies[${index}]`, rule, errors));
+  }
+
+  return merged;
+}
+
+function validatePolicyRule(where, rule, errors) {
+  if (!isPlainObject(rule)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+
+  checkKeys(where, rule, ['method', 'path', 'roles', 'permissions'], errors);
+
+  if (rule.method !== undefined) {
+    const methods = [].concat(rule.method);
+    if (methods.length === 0 || methods.some(method => method !== '*' && !HTTP_METHODS.includes(method))) {
+      errors.push(`${where}.method: must be "*" or one or more of ${HTTP_METHODS.join(', ')}`);
+    }
+  }
+
+  if (rule.path !== undefined) {
+    const problem = checkPolicyPath(rule.path);
+    if (problem) {
+      errors.push(`${where}.path: ${problem}`);
+    }
+  }
+
+  ['roles', 'permissions'].forEach(key => {
+    if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some(value => typeof value !== 'string'))) {
+      errors.push(`${where}.${key}: must be an array of strings`);
+    }
+  });
+}
+
+function validateHeaderRewrite(where, rewrite, errors) {
+  if (!isPlainObject(rewrite)) {
+    errors.push(`${where}: must be an object with set and/or remove`);
+    return { set: {}, remove: [] };
+  }
+
+  checkKeys(where, rewrite, ['set', 'remove'], errors);
+
+  const set = rewrite.set ?? {};
+  const remove = rewrite.remove ?? [];
+
+  if (!isPlainObject(set) || Object.values(set).some(value => typeof value !== 'string')) {
+    errors.push(`${where}.set: must map header names to string values`);
+  }
+
+  if (!Array.isArray(remove) || remove.some(name => typeof name !== 'string')) {
+    errors.push(`${where}.remove: must be an array of header names`);
+  }
+
+  return {
+    set: Object.fromEntries(Object.entries(isPlainObject(set) ? set : {}).map(([k, v]) => [k.toLowerCase(), v])),
+    remove: Array.isArray(remove) ? remove.map(name => String(name).toLowerCase()) : []
+  };
+}
+
+function validateHeaders(where, headers, errors) {
+  if (!isPlainObject(headers)) {
+    errors.push(`${where}: must be an object with request and/or response`);
+    return BUILT_IN_DEFAULTS.headers;
+  }
+
+  checkKeys(where, headers, ['request', 'response'], errors);
+
+  return {
+    request: validateHeaderRewrite(`${where}.request`, headers.request ?? {}, errors),
+    response: validateHeaderRewrite(`${where}.response`, headers.response ?? {}, errors)
+  };
+}
+
+/**
+ * Validate route options shared by `defaults` and individual routes,
+ * filling anything unset from `base`
+ */
+function validateOptions(where, raw, base, errors) {
+  const options = { ...base };
+
+  if (raw.strategy !== undefined) {
+    if (!STRATEGIES.includes(raw.strategy)) {
+      errors.push(`${where}.strategy: must be one of ${STRATEGIES.join(', ')}`);
+    }
+    options.strategy = raw.strategy;
+  }
+
+  if (raw.hashKey !== undefined) {
+    options.hashKey = validateHashKey(`${where}.hashKey`, raw.hashKey, errors);
+  }
+
+  if (raw.timeout !== undefined) {
+    if (!isPositiveInteger(raw.timeout)) {
+      errors.push(`${where}.timeout: must be a positive integer (milliseconds)`);
+    }
+    options.timeout = raw.timeout;
+  }
+
+  if (raw.retry !== undefined) {
+    options.retry = validateRetry(`${where}.retry`, raw.retry, base.retry, errors);
+  }
+
+  if (raw.circuitBreaker !== undefined) {
+    options.circuitBreaker = validateCircuitBreaker(`${where}.circuitBreaker`, raw.circuitBreaker, base.circuitBreaker, errors);
+  }
+
+  if (raw.outlierDetection !== undefined) {
+    options.outlierDetection = validateOutlierDetection(`${where}.outlierDetection`, raw.outlierDetection, base.outlierDetection, errors);
+  }
+
+  if (raw.healthCheck !== undefined) {
+    options.healthCheck = validateHealthCheck(`${where}.healthCheck`, raw.healthCheck, base.healthCheck, errors);
+  }
+
+  if (raw.tls !== undefined) {
+    options.tls = validateTls(`${where}.tls`, raw.tls, base.tls, errors);
+  }
+
+  if (raw.cache !== undefined) {
+    if (raw.cache === false) {
+      options.cache = false;
+    } else if (isPlainObject(raw.cache)) {
+      checkKeys(`${where}.cache`, raw.cache, ['ttl'], errors);
+      if (!isPositiveInteger(raw.cache.ttl)) {
+        errors.push(`${where}.cache.ttl: must be a positive integer (milliseconds)`);
+      }
+      options.cache = { ttl: raw.cache.ttl };
+    } else {
+      errors.push(`${where}.cache: must be false or an object with ttl`);
+    }
+  }
+
+  if (raw.rateLimit !== undefined) {
+    options.rateLimit = validateRateLimit(`${where}.rateLimit`, raw.rateLimit, base.rateLimit, errors);
+  }
+
+  if (raw.auth !== undefined) {
+    options.auth = validateAuth(`${where}.auth`, raw.auth, base.auth, errors);
+  }
+
+  if (raw.headers !== undefined) {
+    options.headers = validateHeaders(`${where}.headers`, raw.headers, errors);
+  }
+
+  return options;
+}
+
+/**
+ * Validate a single route definition against the given defaults.
+ * A plain array of URLs is accepted as shorthand for `{ upstreams: [...] }`.
+ */
+function validateRoute(routePath, raw, defaults, errors) {
+  const where = `routes["${routePath}"]`;
+  const definition = Array.isArray(raw) ? { upstreams: raw } : raw;
+
+  if (typeof routePath !== 'string' || !routePath.startsWith('/')) {
+    errors.push(`${where}: route path must start with "/"`);
+  }
+
+  if (!isPlainObject(definition)) {
+    errors.push(`${where}: must be an object or an array of upstream URLs`);
+    return null;
+  }
+
+  checkKeys(where, definition, ROUTE_KEYS, errors);
+
+  const options = validateOptions(where, definition, defaults, errors);
+  const upstreams = validateUpstreams(`${where}.upstreams`, definition.upstreams, errors)
+    .map((upstream, i) => upstream.healthCheck === undefined ? upstream : {
+      ...upstream,
+      healthCheck: validateHealthCheck(`${where}.upstreams[${i}].healthCheck`, upstream.healthCheck, options.healthCheck, errors)
+    })
+    .map((upstream, i) => upstream.tls === undefined ? upstream : {
+      ...upstream,
+      tls: validateTls(`${where}.upstreams[${i}].tls`, upstream.tls, options.tls, errors)
+    });
+
+  return { path: routePath, upstreams, ...options };
+}
+
+/**
+ * Validate a raw configuration object and return the normalized config.
+ * Accepts the legacy `{ "/path": [urls] }` format as well.
+ * @throws {ConfigValidationError}
+ */
+export function validateConfig(raw) {
+  const errors = [];
+
+  if (!isPlainObject(raw)) {
+    throw new ConfigValidationError(['configuration must be a JSON object']);
+  }
+
+  // Legacy format: every top-level key is a route path
+  const isLegacy = raw.routes === undefined && Object.keys(raw).every(key => key.startsWith('/'));
+  const source = isLegacy ? { routes: raw } : raw;
+
+  checkKeys('config', source, ['publicPaths', 'defaults', 'routes'], errors);
+
+  const publicPaths = source.publicPaths ?? BUILT_IN_PUBLIC_PATHS;
+  if (!Array.isArray(publicPaths) || publicPaths.some(p => typeof p !== 'string' || !p.startsWith('/'))) {
+    errors.push('publicPaths: must be an array of paths starting with "/"');
+  }
+
+  let defaults = BUILT_IN_DEFAULTS;
+  if (source.defaults !== undefined) {
+    if (isPlainObject(source.defaults)) {
+      checkKeys('defaults', source.defaults, DEFAULT_KEYS, errors);
+      defaults = validateOptions('defaults', source.defaults, BUILT_IN_DEFAULTS, errors);
+    } else {
+      errors.push('defaults: must be an object');
+    }
+  }
+
+  if (!isPlainObject(source.routes)) {
+    errors.push('routes: must be an object mapping paths to route definitions');
+  }
+
+  const routes = Object.entries(isPlainObject(source.routes) ? source.routes : {})
+    .map(([routePath, definition]) => validateRoute(routePath, definition, defaults, errors))
+    .filter(Boolean);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  return {
+    publicPaths: Array.isArray(publicPaths) ? publicPaths : BUILT_IN_PUBLIC_PATHS,
+    defaults,
+    routes: sortRoutes(routes)
+  };
+}
+
+/**
+ * Longest prefix first, so /users/admin wins over /users
+ */
+function sortRoutes(routes) {
+  return [...routes].sort((a, b) => b.path.length - a.path.length);
+}
+
+/**
+ * Read and validate a configuration file without activating it
+ * @throws {ConfigValidationError} when the file is invalid
+ */
+function readConfigFile(filePath) {
+  let content;
+  let raw;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+    raw = JSON.parse(content);
+  } catch (err) {
+    throw new ConfigValidationError([`${filePath}: ${err.message}`]);
+  }
+
+  return {
+    config: validateConfig(raw),
+    checksum: crypto.createHash('sha256').update(content).digest('hex').slice(0, 12)
+  };
+}
+
+/**
+ * Swap in a new configuration in one assignment and notify listeners
+ */
+function activate(config, source, checksum = null) {
+  const previous = activeConfig;
+
+  activeConfig = config;
+  activeVersion = {
+    version: ++versionCounter,
+    source,
+    checksum,
+    loadedAt: new Date()
+  };
+
+  if (previous) {
+    changeListeners.forEach(listener => {
+      try {
+        listener(config, previous);
+      } catch (err) {
+        console.error('Config change listener error:', err.message);
+      }
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Load, validate and activate the configuration file
+ * @throws {ConfigValidationError} when the file is invalid
+ */
+export function loadConfig(filePath = CONFIG_PATH) {
+  const { config, checksum } = readConfigFile(filePath);
+  fileChecksum = checksum;
+  return activate(config, 'file', checksum);
+}
+
+/**
+ * Re-read the configuration file. The active configuration is only
+ * replaced when the new file is valid; any failure is reported in
+ * `errors` instead of thrown, so file and SIGHUP reloads never crash.
+ * @returns {Object} { reloaded, version, errors }
+ */
+export function reloadConfig(filePath = CONFIG_PATH) {
+  try {
+    const { config, checksum } = readConfigFile(filePath);
+
+    // An untouched file never overrides runtime (admin) changes
+    if (checksum === fileChecksum) {
+      return { reloaded: false, version: getConfigVersion(), errors: [] };
+    }
+
+    fileChecksum = checksum;
+    activate(config, 'file', checksum);
+    console.log(`Route configuration reloaded (version ${activeVersion.version})`);
+    return { reloaded: true, version: getConfigVersion(), errors: [] };
+  } catch (err) {
+    const errors = err instanceof ConfigValidationError ? err.errors : [err.message];
+
+    console.error(`Route configuration reload rejected, keeping version ${activeVersion?.version}:`);
+    console.error(err.message);
+    return { reloaded: false, version: getConfigVersion(), errors };
+  }
+}
+
+/**
+ * Reload automatically whenever the configuration file changes.
+ * Watches the directory so editors that replace the file are picked up too.
+ */
+export function watchConfig(filePath = CONFIG_PATH) {
+  if (watcher) return;
+
+  let debounce = null;
+  watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+    if (filename !== path.basename(filePath)) return;
+
+    clearTimeout(debounce);
+    debounce = setTimeout(() => {
+      if (fs.existsSync(filePath)) {
+        reloadConfig(filePath);
+      }
+    }, 200);
+  });
+
+  watcher.on('error', err => {
+    console.error(`Watching ${filePath} failed:`, err.message);
+  });
+
+  console.log(`Watching ${filePath} for changes`);
+}
+
+/**
+ * Stop watching the configuration file
+ */
+export function unwatchConfig() {
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+/**
+ * Register a listener called with (newConfig, previousConfig) on every change
+ */
+export function onConfigChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Route paths added, removed or changed between two configurations
+ */
+export function diffRoutes(previous, next) {
+  const before = new Map(previous.routes.map(route => [route.path, JSON.stringify(route)]));
+  const after = new Map(next.routes.map(route => [route.path, JSON.stringify(route)]));
+
+  return {
+    added: [...after.keys()].filter(routePath => !before.has(routePath)),
+    removed: [...before.keys()].filter(routePath => !after.has(routePath)),
+    changed: [...after.keys()].filter(routePath => before.has(routePath) && before.get(routePath) !== after.get(routePath))
+  };
+}
+
+/**
+ * Version info of the active configuration
+ */
+export function getConfigVersion() {
+  return activeVersion ? { ...activeVersion, fileChecksum } : null;
+}
+
+/**
+ * Get the active configuration
+ */
+export function getConfig() {
+  if (!activeConfig) {
+    loadConfig();
+  }
+  return activeConfig;
+}
+
+/**
+ * Get all configured routes
+ */
+export function getRoutes() {
+  return getConfig().routes;
+}
+
+/**
+ * Find the route that owns a request path (longest matching prefix)
+ */
+export function matchRoute(requestPath) {
+  return getRoutes().find(route =>
+    requestPath === route.path ||
+    requestPath.startsWith(route.path.endsWith('/') ? route.path : `${route.path}/`)
+  ) || null;
+}
+
+/**
+ * Paths that never require authentication
+ */
+export function isPublicPath(requestPath) {
+  return getConfig().publicPaths.includes(requestPath);
+}
+
+/**
+ * Add or replace a route at runtime
+ * @throws {ConfigValidationError} when the definition is invalid
+ */
+export function setRoute(routePath, definition) {
+  const errors = [];
+  const config = getConfig();
+  const route = validateRoute(routePath, definition, config.defaults, errors);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  activate({
+    ...config,
+    routes: sortRoutes([...config.routes.filter(r => r.path !== routePath), route])
+  }, 'admin');
+
+  return route;
+}
+
+/**
+ * Remove a route at runtime
+ * @returns {boolean} whether the route existed
+ */
+export function deleteRoute(routePath) {
+  const config = getConfig();
+  const exists = config.routes.some(route => route.path === routePath);
+
+  activate({
+    ...config,
+    routes: config.routes.filter(route => route.path !== routePath)
+  }, 'admin');
+
+  return exists;
+}
+
+/**
+ * Export the active routes as plain definitions (the config file's format)
+ */
+export function exportRoutes() {
+  return Object.fromEntries(
+    getRoutes().map(({ path: routePath, ...definition }) => [routePath, definition])
+  );
+}
+
+/**
+ * Replace the whole routing table, keeping publicPaths and defaults
+ * @param {Object} routes - Map of path -> route definition
+ * @param {string} source - What triggered the change (shown in the version info)
+ * @throws {ConfigValidationError} when any definition is invalid
+ */
+export function replaceRoutes(routes, source) {
+  const errors = [];
+  const config = getConfig();
+  const validated = Object.entries(routes)
+    .map(([routePath, definition]) => validateRoute(routePath, definition, config.defaults, errors))
+    .filter(Boolean);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  return activate({ ...config, routes: sortRoutes(validated) }, source);
+}
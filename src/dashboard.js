@@ -0,0 +1,85 @@
+/**
+ * Dashboard Module
+ * Serves the admin dashboard (static files in /public/dashboard) and streams
+ * the live snapshots and gateway events it renders
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { getHealthStatus } from './healthChecker.js';
+import { getCacheStats } from './cache.js';
+import { getRateLimitHotKeys, getRateLimitStore } from './rateLimiter.js';
+import { getConfigVersion, exportRoutes } from './config.js';
+import { getWindowedMetrics } from './windowedMetrics.js';
+import { onGatewayEvent } from './events.js';
+
+const DASHBOARD_DIR = fileURLToPath(new URL('../public/dashboard', import.meta.url));
+const SNAPSHOT_INTERVAL = parseInt(process.env.DASHBOARD_INTERVAL, 10) || 2000;
+const TRAFFIC_WINDOW_MS = 60000;
+
+/**
+ * Static dashboard page. It holds no data - everything is loaded from the
+ * admin API with the token the admin enters.
+ */
+export function dashboardPage() {
+  const files = express.static(DASHBOARD_DIR, { index: 'index.html' });
+
+  return (req, res, next) => {
+    res.set('Content-Security-Policy', "default-src 'self'; style-src 'self'; img-src 'self' data:; frame-ancestors 'none'");
+    res.set('X-Content-Type-Options', 'nosniff');
+    files(req, res, next);
+  };
+}
+
+/**
+ * Everything the dashboard shows, in one object
+ */
+export async function getDashboardSnapshot() {
+  const [cache, hotKeys] = await Promise.all([getCacheStats(), getRateLimitHotKeys(10)]);
+
+  return {
+    timestamp: new Date(),
+    uptime: process.uptime(),
+    config: getConfigVersion(),
+    traffic: getWindowedMetrics(TRAFFIC_WINDOW_MS),
+    health: getHealthStatus(),
+    cache,
+    rateLimiter: { store: getRateLimitStore().type, hotKeys },
+    routes: exportRoutes()
+  };
+}
+
+/**
+ * Server-Sent Events stream for the dashboard: a `snapshot` every
+ * DASHBOARD_INTERVAL ms and each gateway event as it happens
+ */
+export function streamDashboard(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  let closed = false;
+
+  const sendSnapshot = async () => {
+    try {
+      const snapshot = await getDashboardSnapshot();
+      if (!closed) res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    } catch (err) {
+      if (!closed) res.write(`event: error\ndata: ${JSON.stringify({ error: err.message })}\n\n`);
+    }
+  };
+
+  const unsubscribe = onGatewayEvent(event => {
+    res.write(`id: ${event.id}\nevent: gateway\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const timer = setInterval(sendSnapshot, SNAPSHOT_INTERVAL);
+  sendSnapshot();
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(timer);
+    unsubscribe();
+  });
+}
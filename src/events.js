@@ -0,0 +1,66 @@
+/**
+ * Gateway Events Module
+ * Internal event stream for health, circuit breaker and routing changes
+ * Consumed by the admin SSE endpoint and outbound webhooks
+ */
+
+import { EventEmitter } from 'events';
+
+export const EVENT_TYPES = [
+  'service.healthy',
+  'service.unhealthy',
+  'service.ejected',
+  'circuit.open',
+  'circuit.half-open',
+  'circuit.closed',
+  'route.changed',
+  'test'
+];
+
+const RECENT_EVENTS_LIMIT = 100;
+
+const emitter = new EventEmitter();
+// SSE clients and webhooks each add a listener
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let eventCounter = 0;
+
+/**
+ * Publish a gateway event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event details
+ */
+export function emitGatewayEvent(type, data = {}) {
+  const event = {
+    id: ++eventCounter,
+    type,
+    timestamp: new Date(),
+    data
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > RECENT_EVENTS_LIMIT) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Subscribe to gateway events
+ * @returns {Function} unsubscribe
+ */
+export function onGatewayEvent(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Recent events, optionally only those after a given id
+ * (lets SSE clients catch up after reconnecting)
+ */
+export function getRecentEvents(afterId = 0) {
+  return recentEvents.filter(event => event.id > afterId);
+}
@@ -1,120 +1,435 @@
 /**
  * Health Checker Module
  * Periodically checks downstream service health
+ * Combined with the per-upstream circuit breakers fed by live traffic, and
+ * passive outlier detection that ejects upstreams performing worse than their peers
  */
 
 import axios from 'axios';
+import net from 'net';
+import tls from 'tls';
+import { isCircuitAvailable, getCircuitState, resetCircuit, removeCircuit } from './circuitBreaker.js';
+import { getRoutes } from './config.js';
+import { emitGatewayEvent } from './events.js';
+import { getUpstreamAgent, getUpstreamTlsOptions } from './upstreamTls.js';
 
 const serviceHealth = {};
-const CHECK_INTERVAL = process.env.HEALTH_CHECK_INTERVAL || 10000; // 10 seconds
-const TIMEOUT = process.env.HEALTH_CHECK_TIMEOUT || 5000; // 5 seconds
+// Scheduled active checks (service -> { definition, signature, timer, running })
+const activeChecks = {};
+const OUTLIER_INTERVAL = parseInt(process.env.OUTLIER_DETECTION_INTERVAL, 10) || 10000; // 10 seconds
+const MAX_LATENCY_SAMPLES = 1000;
+// Peer p99s below this are too noisy to compare against
+const MIN_LATENCY_BASELINE_MS = 50;
+
+// Live traffic per upstream since the last outlier detection pass
+let trafficStats = {};
+
+function createHealthEntry() {
+  return {
+    healthy: true,
+    lastChecked: null,
+    consecutiveFailures: 0,
+    consecutiveSuccesses: 0,
+    lastFailureTime: null,
+    lastCheckError: null,
+    ejectedUntil: null,
+    ejectionCount: 0,
+    totalEjections: 0,
+    lastEjectionReason: null,
+    lastTraffic: null
+  };
+}
+
+const isEjected = (health, now = Date.now()) => health.ejectedUntil !== null && health.ejectedUntil > now;
+
+/**
+ * Whether a response body contains everything in `expected`
+ * (objects match on the listed keys only, everything else must be equal)
+ */
+function matchesBody(expected, actual) {
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) {
+      return false;
+    }
+    if (Array.isArray(expected) && expected.length !== actual.length) {
+      return false;
+    }
+    return Object.keys(expected).every(key => matchesBody(expected[key], actual[key]));
+  }
+
+  return expected === actual;
+}
+
+/**
+ * TCP check: the upstream is healthy if it accepts a connection (and, for
+ * https:// upstreams, completes a TLS handshake with the upstream's settings)
+ */
+function checkTcp(url, timeoutMs, tlsSettings) {
+  const { hostname, port, protocol } = new URL(url);
+
+  return new Promise(resolve => {
+    const socket = protocol === 'https:'
+      ? tls.connect({
+        host: hostname,
+        port: port || 443,
+        ...(net.isIP(hostname) === 0 && { servername: hostname }),
+        ...getUpstreamTlsOptions(url, tlsSettings)
+      })
+      : net.connect({ host: hostname, port: port || 80 });
+
+    const done = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeoutMs, () => done({ healthy: false, error: `timeout of ${timeoutMs}ms exceeded` }));
+    socket.once(protocol === 'https:' ? 'secureConnect' : 'connect', () => done({ healthy: true, error: null }));
+    socket.once('error', (err) => done({ healthy: false, error: err.message }));
+  });
+}
 
 /**
  * Check health of a single service
+ * @param {string} url - Upstream URL
+ * @param {Object} definition - The upstream's healthCheck settings
+ * @param {Object} tlsSettings - The upstream's tls settings (as used for proxying)
+ * @returns {Promise<Object>} { healthy, error }
  */
-async function checkServiceHealth(url) {
+async function checkServiceHealth(url, definition, tlsSettings) {
   try {
-    const response = await axios.get(`${url}/health`, {
-      timeout: TIMEOUT,
-      validateStatus: (status) => status >= 200 && status < 500
+    if (definition.type === 'tcp') {
+      return await checkTcp(url, definition.timeoutMs, tlsSettings);
+    }
+
+    const response = await axios.request({
+      method: definition.method,
+      url: `${url}${definition.path}`,
+      headers: definition.headers,
+      timeout: definition.timeoutMs,
+      httpsAgent: getUpstreamAgent(url, tlsSettings),
+      validateStatus: () => true
     });
 
-    return response.status >= 200 && response.status < 300;
+    const { min, max } = definition.expectedStatus;
+    if (response.status < min || response.status > max) {
+      return { healthy: false, error: `unexpected status ${response.status}` };
+    }
+
+    if (definition.body !== null && !matchesBody(definition.body, response.data)) {
+      return { healthy: false, error: 'response body does not match' };
+    }
+
+    return { healthy: true, error: null };
   } catch (error) {
-    return false;
+    return { healthy: false, error: error.message };
   }
 }
 
 /**
- * Initialize health checker
+ * Health check definition of every routed upstream, with the upstream's tls
+ * settings. Routes are sorted longest path first; the first route listing an
+ * upstream defines its check.
  */
-export function initHealthChecker(routes) {
-  // Initialize all services as healthy
-  Object.entries(routes).forEach(([path, services]) => {
-    services.forEach(service => {
-      serviceHealth[service] = {
-        healthy: true,
-        lastChecked: null,
-        consecutiveFailures: 0,
-        lastFailureTime: null
-      };
+function getCheckDefinitions() {
+  const definitions = {};
+
+  getRoutes().forEach(route => {
+    route.upstreams.forEach(upstream => {
+      if (!definitions[upstream.url]) {
+        definitions[upstream.url] = { ...(upstream.healthCheck || route.healthCheck), tls: upstream.tls || route.tls };
+      }
     });
   });
 
-  // Start periodic health checks
-  setInterval(async () => {
-    await performHealthChecks(routes);
-  }, CHECK_INTERVAL);
+  return definitions;
+}
+
+async function runCheck(service) {
+  const check = activeChecks[service];
+  // Skip a round rather than pile up checks against a slow upstream
+  if (!check || check.running) return;
 
-  console.log('Health checker initialized with interval:', CHECK_INTERVAL, 'ms');
+  check.running = true;
+  try {
+    const result = await checkServiceHealth(service, check.definition, check.definition.tls);
+    // The check may have been rescheduled or removed while it was running
+    if (activeChecks[service] === check) {
+      updateServiceHealth(service, result, check.definition);
+    }
+  } finally {
+    check.running = false;
+  }
 }
 
 /**
- * Perform health checks for all services
+ * (Re)schedule active checks from the current routing table.
+ * New services start out healthy; services no longer routed are dropped;
+ * checks whose definition changed are restarted. New checks run once right
+ * away instead of waiting a full interval.
  */
-export async function performHealthChecks(routes) {
-  const checks = [];
+function scheduleHealthChecks() {
+  const definitions = getCheckDefinitions();
 
-  Object.entries(routes).forEach(([path, services]) => {
-    services.forEach(service => {
-      checks.push(
-        checkServiceHealth(service).then(isHealthy => {
-          updateServiceHealth(service, isHealthy);
-        })
-      );
+  Object.entries(activeChecks).forEach(([service, check]) => {
+    const definition = definitions[service];
+    if (!definition || JSON.stringify(definition) !== check.signature) {
+      clearInterval(check.timer);
+      delete activeChecks[service];
+    }
+  });
+
+  Object.keys(serviceHealth)
+    .filter(service => !definitions[service])
+    .forEach(service => {
+      delete serviceHealth[service];
+      removeCircuit(service);
+      console.log(`Health checker stopped monitoring: ${service}`);
     });
+
+  Object.entries(definitions).forEach(([service, definition]) => {
+    if (!serviceHealth[service]) {
+      serviceHealth[service] = createHealthEntry();
+      console.log(`Health checker now monitoring: ${service}`);
+    }
+
+    if (!definition.enabled) {
+      // Without active checks there is nothing that could bring it back
+      serviceHealth[service].healthy = true;
+      return;
+    }
+
+    if (!activeChecks[service]) {
+      activeChecks[service] = {
+        definition,
+        signature: JSON.stringify(definition),
+        running: false,
+        timer: setInterval(() => runCheck(service), definition.intervalMs)
+      };
+      runCheck(service);
+    }
   });
+}
+
+/**
+ * Initialize health checker
+ */
+export function initHealthChecker() {
+  scheduleHealthChecks();
+  setInterval(detectOutliers, OUTLIER_INTERVAL);
 
-  await Promise.all(checks);
+  console.log(`Health checker initialized for ${Object.keys(serviceHealth).length} services`);
 }
 
 /**
- * Update service health status
+ * Pick up route changes (config reloads, admin updates and rollbacks)
  */
-function updateServiceHealth(service, isHealthy) {
-  if (!serviceHealth[service]) {
-    serviceHealth[service] = {
-      healthy: true,
-      lastChecked: null,
-      consecutiveFailures: 0,
-      lastFailureTime: null
-    };
-  }
+export function updateHealthCheckTargets() {
+  scheduleHealthChecks();
+}
 
+/**
+ * Perform health checks for all services right away
+ */
+export async function performHealthChecks() {
+  await Promise.all(Object.keys(activeChecks).map(service => runCheck(service)));
+}
+
+/**
+ * Update service health status.
+ * A healthy service fails after `fall` consecutive failed checks and an
+ * unhealthy one recovers after `rise` consecutive successful checks.
+ */
+function updateServiceHealth(service, { healthy, error }, { rise, fall }) {
   const health = serviceHealth[service];
   health.lastChecked = new Date();
+  health.lastCheckError = error;
+
+  if (healthy) {
+    health.consecutiveSuccesses++;
+    health.consecutiveFailures = 0;
 
-  if (isHealthy) {
-    if (!health.healthy) {
+    if (!health.healthy && health.consecutiveSuccesses >= rise) {
       console.log(`✓ Service recovered: ${service}`);
       health.healthy = true;
-      health.consecutiveFailures = 0;
+      emitGatewayEvent('service.healthy', { service, source: 'health-check' });
     }
   } else {
     health.consecutiveFailures++;
+    health.consecutiveSuccesses = 0;
     health.lastFailureTime = new Date();
 
-    if (health.consecutiveFailures === 1) {
-      console.log(`✗ Service unhealthy: ${service}`);
+    if (health.healthy && health.consecutiveFailures >= fall) {
+      console.log(`✗ Service unhealthy: ${service} (${error})`);
+      health.healthy = false;
+      emitGatewayEvent('service.unhealthy', { service, source: 'health-check', reason: error });
     }
+  }
+}
 
-    // Mark unhealthy after 3 consecutive failures
-    if (health.consecutiveFailures >= 3) {
-      health.healthy = false;
+/**
+ * Record the outcome of a proxied request for outlier detection
+ * @param {string} service - Upstream URL
+ * @param {Object} outcome - { success, latencyMs } (latencyMs is null when no response arrived)
+ */
+export function recordUpstreamResult(service, { success, latencyMs }) {
+  if (!trafficStats[service]) {
+    trafficStats[service] = { requests: 0, errors: 0, latencies: [], latencyCount: 0 };
+  }
+
+  const stats = trafficStats[service];
+  stats.requests++;
+  if (!success) stats.errors++;
+
+  if (latencyMs !== null) {
+    // Reservoir sampling keeps memory bounded under heavy traffic
+    stats.latencyCount++;
+    if (stats.latencies.length < MAX_LATENCY_SAMPLES) {
+      stats.latencies.push(latencyMs);
+    } else {
+      const index = Math.floor(Math.random() * stats.latencyCount);
+      if (index < MAX_LATENCY_SAMPLES) stats.latencies[index] = latencyMs;
     }
   }
 }
 
+function summarizeTraffic({ requests, errors, latencies }) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+
+  return {
+    requests,
+    errorRate: requests > 0 ? errors / requests * 100 : 0,
+    p99: sorted.length > 0 ? sorted[Math.ceil(sorted.length * 0.99) - 1] : null
+  };
+}
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Compare one upstream's traffic against its peers in the same route
+ * @returns {Object|null} { reason, severity } when the upstream is an outlier;
+ * error rate outliers rank above latency outliers
+ */
+function findOutlier(traffic, peers, options) {
+  const peerErrorRate = average(peers.map(peer => peer.errorRate));
+  const errorRateExcess = traffic.errorRate - peerErrorRate;
+
+  if (errorRateExcess >= options.errorRateThreshold) {
+    return {
+      reason: `error rate ${traffic.errorRate.toFixed(1)}% vs ${peerErrorRate.toFixed(1)}% for peers`,
+      severity: 1000 + errorRateExcess
+    };
+  }
+
+  const peerLatencies = peers.map(peer => peer.p99).filter(p99 => p99 !== null);
+
+  if (options.latencyFactor !== null && traffic.p99 !== null && peerLatencies.length > 0) {
+    const peerP99 = Math.max(average(peerLatencies), MIN_LATENCY_BASELINE_MS);
+    if (traffic.p99 > peerP99 * options.latencyFactor) {
+      return {
+        reason: `p99 ${traffic.p99}ms vs ${Math.round(peerP99)}ms for peers`,
+        severity: traffic.p99 / peerP99
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Passive outlier detection over the traffic since the last pass.
+ * Outliers are ejected for baseEjectionMs times the number of times they have
+ * been ejected (capped at maxEjectionMs); a route never has more than
+ * maxEjectionPercent of its upstreams ejected, and always keeps at least one.
+ */
+export function detectOutliers() {
+  const now = Date.now();
+  const traffic = Object.fromEntries(
+    Object.entries(trafficStats).map(([service, stats]) => [service, summarizeTraffic(stats)])
+  );
+  const outliers = new Set();
+  trafficStats = {};
+
+  Object.entries(serviceHealth).forEach(([service, health]) => {
+    health.lastTraffic = traffic[service] || null;
+
+    if (health.ejectedUntil !== null && !isEjected(health, now)) {
+      health.ejectedUntil = null;
+      console.log(`✓ Service returned from ejection: ${service}`);
+    }
+  });
+
+  getRoutes().forEach(route => {
+    const options = route.outlierDetection;
+    if (!options.enabled) return;
+
+    const services = route.upstreams.map(upstream => upstream.url).filter(service => serviceHealth[service]);
+    const candidates = services.filter(service =>
+      traffic[service] && traffic[service].requests >= options.minimumRequests);
+
+    // Outliers only exist relative to peers
+    if (candidates.length < 2) return;
+
+    // Worst outliers first, in case the ejection limit stops some of them
+    const found = candidates
+      .filter(service => !isEjected(serviceHealth[service], now))
+      .map(service => {
+        const peers = candidates.filter(peer => peer !== service).map(peer => traffic[peer]);
+        return { service, ...findOutlier(traffic[service], peers, options) };
+      })
+      .filter(outlier => outlier.reason)
+      .sort((a, b) => b.severity - a.severity);
+
+    found.forEach(({ service, reason }) => {
+      const health = serviceHealth[service];
+      outliers.add(service);
+
+      const ejected = services.filter(peer => isEjected(serviceHealth[peer], now)).length;
+      if ((ejected + 1) / services.length * 100 > options.maxEjectionPercent || ejected + 1 >= services.length) {
+        console.warn(`Outlier not ejected (max ejection reached for ${route.path}): ${service} - ${reason}`);
+        return;
+      }
+
+      health.ejectionCount++;
+      health.totalEjections++;
+      health.lastEjectionReason = reason;
+      const duration = Math.min(options.baseEjectionMs * health.ejectionCount, options.maxEjectionMs);
+      health.ejectedUntil = now + duration;
+
+      console.log(`✗ Service ejected for ${duration}ms: ${service} - ${reason}`);
+      emitGatewayEvent('service.ejected', { service, route: route.path, reason, durationMs: duration });
+    });
+  });
+
+  // Upstreams that behave again slowly earn back shorter ejections
+  Object.entries(serviceHealth).forEach(([service, health]) => {
+    if (health.ejectionCount > 0 && !outliers.has(service) && !isEjected(health, now)) {
+      health.ejectionCount--;
+    }
+  });
+}
+
 /**
  * Get list of healthy services for a path
+ * (passing health checks, not ejected as an outlier and not rejected by an open circuit)
  */
 export function getHealthyServices(path, allServices) {
+  const now = Date.now();
+
   return allServices.filter(service => {
     const health = serviceHealth[service];
-    return health && health.healthy;
+    return health && health.healthy && !isEjected(health, now) && isCircuitAvailable(service);
   });
 }
 
+/**
+ * Check settings shown in the status (headers are left out as they may hold credentials)
+ */
+function describeCheck({ type, method, path, expectedStatus, rise, fall, intervalMs, timeoutMs }) {
+  return type === 'tcp'
+    ? { type, rise, fall, intervalMs, timeoutMs }
+    : { type, method, path, expectedStatus, rise, fall, intervalMs, timeoutMs };
+}
+
 /**
  * Get health status of all services
  */
@@ -124,7 +439,19 @@ export function getHealthStatus() {
     healthy: health.healthy,
     lastChecked: health.lastChecked,
     consecutiveFailures: health.consecutiveFailures,
-    lastFailureTime: health.lastFailureTime
+    consecutiveSuccesses: health.consecutiveSuccesses,
+    lastFailureTime: health.lastFailureTime,
+    lastCheckError: health.lastCheckError,
+    check: activeChecks[service] ? describeCheck(activeChecks[service].definition) : null,
+    outlier: {
+      ejected: isEjected(health),
+      ejectedUntil: isEjected(health) ? new Date(health.ejectedUntil) : null,
+      ejectionCount: health.ejectionCount,
+      totalEjections: health.totalEjections,
+      lastEjectionReason: health.lastEjectionReason,
+      lastTraffic: health.lastTraffic
+    },
+    circuit: getCircuitState(service)
   }));
 }
 
@@ -149,16 +476,23 @@ export function getHealthSummary() {
  */
 export function setServiceHealth(service, healthy) {
   if (!serviceHealth[service]) {
-    serviceHealth[service] = {
-      healthy: true,
-      lastChecked: null,
-      consecutiveFailures: 0,
-      lastFailureTime: null
-    };
+    serviceHealth[service] = createHealthEntry();
   }
 
+  const changed = serviceHealth[service].healthy !== healthy;
   serviceHealth[service].healthy = healthy;
   serviceHealth[service].lastChecked = new Date();
+  serviceHealth[service].consecutiveFailures = 0;
+  serviceHealth[service].consecutiveSuccesses = 0;
+
+  if (healthy) {
+    serviceHealth[service].ejectedUntil = null;
+    resetCircuit(service);
+  }
 
   console.log(`Service ${service} manually set to ${healthy ? 'healthy' : 'unhealthy'}`);
+
+  if (changed) {
+    emitGatewayEvent(healthy ? 'service.healthy' : 'service.unhealthy', { service, source: 'manual' });
+  }
 }
@@ -5,228 +5,220 @@
 
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { logger, metricsMiddleware, getMetrics, getPrometheusMetrics, resetMetrics } from './logger.js';
+import { metricsMiddleware, getPrometheusMetrics } from './logger.js';
 import { authenticate, generateToken } from './auth.js';
-import { rateLimiter } from './rateLimiter.js';
-import { cacheMiddleware, cacheInvalidationMiddleware, invalidateCache, getCacheStats, getCacheDetails } from './cache.js';
-import { routeRequest, getRoutingTable, updateRoute, removeRoute } from './router.js';
-import { initHealthChecker, getHealthStatus, getHealthSummary, setServiceHealth, performHealthChecks } from './healthChecker.js';
-import { getLoadBalancerStats } from './loadBalancer.js';
-import { getRateLimiterStats } from './rateLimiter.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const routesPath = path.join(__dirname, '../config/routes.json');
-const routes = JSON.parse(fs.readFileSync(routesPath, 'utf-8'));
-
-const app = express();
-const PORT = process.env.PORT || 8080;
-
-// Middleware setup
-app.use(cors());
-app.use(express.json());
-app.use(logger);
-app.use(metricsMiddleware);
-
-// Apply rate limiting (100 requests per minute per IP)
-app.use(rateLimiter(100, 200, 60000));
-
-// Public routes (no auth required)
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok',
-    timestamp: new Date(),
-    uptime: process.uptime()
-  });
-});
-
-// Generate test JWT token
-app.post('/auth/token', (req, res) => {
-  const { userId, role = 'user' } = req.body;
-
-  if (!userId) {
-    return res.status(400).json({ error: 'userId required' });
+import { routeRateLimiter, routeUserRateLimiter, setRateLimitStore, createRedisRateLimitStore } from './rateLimiter.js';
+import { cacheMiddleware, cacheInvalidationMiddleware, setCacheStore, createRedisCacheStore, enableCacheInvalidationBroadcast } from './cache.js';
+import { routeRequest, getRoutingTable } from './router.js';
+import { initHealthChecker, updateHealthCheckTargets } from './healthChecker.js';
+import { getRedisClient, closeRedisClient } from './redisClient.js';
+import { loadConfig, reloadConfig, watchConfig, unwatchConfig, onConfigChange, getConfigVersion, diffRoutes, ConfigValidationError, CONFIG_PATH } from './config.js';
+import { accessLogger, flushAccessLog } from './accessLog.js';
+import { dashboardPage } from './dashboard.js';
+import { tracingMiddleware, traced, initTracing, flushSpans } from './tracing.js';
+import { PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE } from './prometheus.js';
+import { emitGatewayEvent } from './events.js';
+import { initWebhooks } from './webhooks.js';
+import { initRouteRevisions, recordRevision, setRevisionStore, createRedisRevisionStore } from './routeRevisions.js';
+import { setAuditStore, createRedisAuditStore } from './auditLog.js';
+import { createAdminRouter } from './adminRoutes.js';
+import { initJwtVerifier } from './jwtVerifier.js';
+import { setApiKeyStore, createRedisApiKeyStore } from './apiKeys.js';
+import { issueToken, revokeToken, TokenError, AUTH_DEV_MODE, setRefreshTokenStore, createRedisRefreshTokenStore } from './tokenIssuer.js';
+import { startTlsServer, closeTlsServer, isTlsEnabled, TlsConfigError, TLS_PORT } from './tls.js';
+import { unwatchUpstreamTls } from './upstreamTls.js';
+
+// Anyone could mint admin tokens - refuse rather than warn in production
+if (AUTH_DEV_MODE) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('AUTH_DEV_MODE=true is not allowed with NODE_ENV=production; refusing to start');
+    process.exit(1);
   }
+  console.warn('AUTH_DEV_MODE is on: POST /auth/token signs tokens for any userId/role. Never enable this in production.');
+}
+
+// Load and validate the route configuration before anything else
+try {
+  loadConfig();
+  console.log(`Loaded route configuration from ${CONFIG_PATH}`);
+} catch (err) {
+  if (!(err instanceof ConfigValidationError)) throw err;
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Share rate limit counters across replicas when configured
+if (process.env.RATE_LIMIT_STORE === 'redis') {
+  setRateLimitStore(createRedisRateLimitStore(await getRedisClient()));
+}
+
+// Shared response cache, or per-instance caches kept in sync over pub/sub
+if (process.env.CACHE_STORE === 'redis') {
+  setCacheStore(createRedisCacheStore(await getRedisClient()));
+} else if (process.env.CACHE_INVALIDATION_BROADCAST === 'true') {
+  await enableCacheInvalidationBroadcast(await getRedisClient());
+}
+
+// Persisted admin route changes (file by default, Redis when configured)
+if (process.env.ROUTE_STORE === 'redis') {
+  setRevisionStore(createRedisRevisionStore(await getRedisClient()));
+}
+await initRouteRevisions();
+
+// Refresh tokens shared across replicas when configured
+if (process.env.TOKEN_STORE === 'redis') {
+  setRefreshTokenStore(createRedisRefreshTokenStore(await getRedisClient()));
+}
+
+// Managed API keys shared across replicas when configured
+if (process.env.API_KEY_STORE === 'redis') {
+  setApiKeyStore(createRedisApiKeyStore(await getRedisClient()));
+}
+
+// Trusted external token issuers (static keys / JWKS)
+await initJwtVerifier();
+
+// Audit log of admin changes (file by default, Redis when configured)
+if (process.env.AUDIT_STORE === 'redis') {
+  setAuditStore(createRedisAuditStore(await getRedisClient()));
+}
 
-  const token = generateToken(userId, role);
-  res.json({ token, expiresIn: '1h' });
-});
-
-// Apply authentication middleware
-app.use(authenticate);
-
-// Apply cache middleware
-app.use(cacheMiddleware);
-
-// Apply cache invalidation for write operations
-app.use(cacheInvalidationMiddleware);
-
-// === ADMIN ROUTES ===
-
-/**
- * Get gateway metrics
- */
-app.get('/admin/metrics', (req, res) => {
-  res.json(getMetrics());
-});
-
-/**
- * Get Prometheus-compatible metrics
- */
-app.get('/metrics', (req, res) => {
-  res.type('text/plain');
-  res.send(getPrometheusMetrics());
-});
+const PORT = process.env.PORT || 8080;
+// Optional separate listener for /admin and /dashboard (e.g. ADMIN_HOST=127.0.0.1)
+const ADMIN_PORT = process.env.ADMIN_PORT ? parseInt(process.env.ADMIN_PORT, 10) : null;
+const ADMIN_HOST = process.env.ADMIN_HOST || '0.0.0.0';
 
-/**
- * Get health status of all services
- */
-app.get('/admin/health', (req, res) => {
-  res.json(getHealthSummary());
-});
+// Error handling middleware
+function errorHandler(err, req, res, next) {
+  console.error('Unhandled error:', err);
+  res.status(500).json({ 
+    error: 'Internal server error',
+    message: err.message
+  });
+}
 
 /**
- * Get detailed health status
+ * The gateway app: token endpoints, metrics, admin API (unless on ADMIN_PORT)
+ * and proxying. The TLS listener builds its own instances (see tls.js).
  */
-app.get('/admin/health/services', (req, res) => {
-  res.json(getHealthStatus());
-});
+function createGatewayApp() {
+  const app = express();
+
+  // Middleware setup
+  app.use(cors());
+  app.use(tracingMiddleware);
+  app.use(accessLogger);
+  app.use(express.json());
+  app.use(metricsMiddleware);
+
+  // Apply rate limiting (per-route policy from the route configuration); the
+  // user window follows authentication below
+  app.use(traced('rate-limit', routeRateLimiter()));
+
+  // Public routes (no auth required)
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'ok',
+      timestamp: new Date(),
+      uptime: process.uptime()
+    });
+  });
 
-/**
- * Manually trigger health check
- */
-app.post('/admin/health/check', async (req, res) => {
-  await performHealthChecks(routes);
-  res.json({ message: 'Health checks completed', status: getHealthSummary() });
-});
+  // Token endpoint (password, client_credentials and refresh_token grants; JSON or form encoded)
+  app.post('/auth/token', express.urlencoded({ extended: false }), async (req, res, next) => {
+    const { grant_type: grantType, userId, role = 'user' } = req.body;
+
+    // Development mode only: sign a test token for any { userId, role }
+    if (AUTH_DEV_MODE && grantType === undefined && userId) {
+      return res.json({ token: generateToken(userId, role), expiresIn: '1h' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    try {
+      res.json(await issueToken(req.body, req.get('Authorization')));
+    } catch (err) {
+      if (!(err instanceof TokenError)) return next(err);
+      if (err.status === 401) res.set('WWW-Authenticate', 'Basic realm="gateway"');
+      res.status(err.status).json(err);
+    }
+  });
 
-/**
- * Set service health manually
- */
-app.put('/admin/health/:service', (req, res) => {
-  const { service } = req.params;
-  const { healthy } = req.body;
+  // Revoke a refresh token (logout); unknown tokens are accepted silently
+  app.post('/auth/revoke', express.urlencoded({ extended: false }), async (req, res, next) => {
+    try {
+      await revokeToken(req.body.token);
+      res.json({ revoked: true });
+    } catch (err) {
+      next(err);
+    }
+  });
 
-  if (typeof healthy !== 'boolean') {
-    return res.status(400).json({ error: 'healthy field must be boolean' });
+  // Admin dashboard page (static; its data comes from the authenticated admin API)
+  if (!ADMIN_PORT) {
+    app.use('/dashboard', dashboardPage());
   }
 
-  setServiceHealth(service, healthy);
-  res.json({ message: `Service ${service} set to ${healthy ? 'healthy' : 'unhealthy'}` });
-});
+  // Apply authentication middleware
+  app.use(traced('auth', authenticate, (req) => ({ 'enduser.id': req.user && req.user.userId })));
+  app.use(traced('user-rate-limit', routeUserRateLimiter()));
 
-/**
- * Get routing table
- */
-app.get('/admin/routes', (req, res) => {
-  res.json(getRoutingTable());
-});
+  // Apply cache middleware
+  app.use(traced('cache', cacheMiddleware, (req, res) => ({ 'gateway.cache_hit': res.get('X-Cache-Hit') === 'true' })));
 
-/**
- * Update route
- */
-app.put('/admin/routes/:path', (req, res) => {
-  const { path } = req.params;
-  const { services } = req.body;
+  // Apply cache invalidation for write operations
+  app.use(cacheInvalidationMiddleware);
 
-  if (!Array.isArray(services) || services.length === 0) {
-    return res.status(400).json({ error: 'services must be a non-empty array' });
-  }
+  /**
+   * Get Prometheus-compatible metrics
+   */
+  app.get('/metrics', (req, res) => {
+    // OpenMetrics for scrapers that ask for it, Prometheus text format otherwise
+    const openMetrics = (req.get('Accept') || '').includes('application/openmetrics-text');
 
-  updateRoute(`/${path}`, services);
-  res.json({ message: `Route /${path} updated`, services });
-});
+    res.set('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+    res.send(getPrometheusMetrics({ openMetrics }));
+  });
 
-/**
- * Delete route
- */
-app.delete('/admin/routes/:path', (req, res) => {
-  const { path } = req.params;
-  removeRoute(`/${path}`);
-  res.json({ message: `Route /${path} deleted` });
-});
+  // === ADMIN ROUTES ===
 
-/**
- * Get cache statistics
- */
-app.get('/admin/cache/stats', (req, res) => {
-  res.json(getCacheStats());
-});
+  // On the gateway port unless ADMIN_PORT moves them to their own listener
+  if (!ADMIN_PORT) {
+    app.use('/admin', createAdminRouter());
+  }
 
-/**
- * Get cache details
- */
-app.get('/admin/cache/details', (req, res) => {
-  res.json(getCacheDetails());
-});
+  // === MAIN GATEWAY ROUTING ===
 
-/**
- * Clear cache
- */
-app.post('/admin/cache/clear', (req, res) => {
-  const { pattern } = req.body;
-  invalidateCache(pattern);
-  res.json({ message: pattern ? `Cache cleared for pattern: ${pattern}` : 'All cache cleared' });
-});
+  /**
+   * Catch-all route handler - forwards to backend services
+   */
+  app.all('*', (req, res) => {
+    routeRequest(req, res);
+  });
 
-/**
- * Get load balancer statistics
- */
-app.get('/admin/loadbalancer/stats', (req, res) => {
-  res.json(getLoadBalancerStats());
-});
+  app.use(errorHandler);
 
-/**
- * Get rate limiter statistics
- */
-app.get('/admin/ratelimiter/stats', (req, res) => {
-  res.json(getRateLimiterStats());
-});
+  return app;
+}
 
-/**
- * Reset metrics (for testing)
- */
-app.post('/admin/reset/metrics', (req, res) => {
-  resetMetrics();
-  res.json({ message: 'Metrics reset' });
-});
+const app = createGatewayApp();
 
 /**
- * Gateway status dashboard
+ * Admin-only app for the separate listener: /admin and /dashboard, no proxying
  */
-app.get('/admin/status', (req, res) => {
-  res.json({
-    gateway: {
-      uptime: process.uptime(),
-      timestamp: new Date()
-    },
-    metrics: getMetrics(),
-    health: getHealthSummary(),
-    cache: getCacheStats(),
-    routes: getRoutingTable()
-  });
-});
+function createAdminApp() {
+  const adminApp = express();
 
-// === MAIN GATEWAY ROUTING ===
+  adminApp.use(tracingMiddleware);
+  adminApp.use(accessLogger);
+  adminApp.use(express.json());
+  adminApp.use('/dashboard', dashboardPage());
+  adminApp.use(traced('auth', authenticate, (req) => ({ 'enduser.id': req.user && req.user.userId })));
+  adminApp.use('/admin', createAdminRouter());
+  adminApp.use((req, res) => res.status(404).json({ error: 'Not found' }));
+  adminApp.use(errorHandler);
 
-/**
- * Catch-all route handler - forwards to backend services
- */
-app.all('*', (req, res) => {
-  routeRequest(req, res);
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: err.message
-  });
-});
+  return adminApp;
+}
 
 // Start server
 const server = app.listen(PORT, () => {
@@ -242,30 +234,44 @@ const server = app.listen(PORT, () => {
     console.log(`   ${route.path} -> [${route.services.join(', ')}]`);
   });
   console.log('');
-  console.log('🔧 Admin Endpoints:');
+  console.log(ADMIN_PORT ? `🔧 Admin Endpoints (http://${ADMIN_HOST}:${ADMIN_PORT}):` : '🔧 Admin Endpoints:');
   console.log('   GET    /admin/status           - Gateway status dashboard');
-  console.log('   GET    /admin/metrics          - Performance metrics');
+  console.log('   GET    /admin/events           - Live gateway events (SSE)');
+  console.log('   GET    /admin/webhooks         - Webhook delivery stats');
+  console.log('   POST   /admin/webhooks/test    - Send a test event');
+  console.log('   GET    /dashboard              - Admin dashboard (browser)');
+  console.log('   GET    /admin/metrics          - Performance metrics (?window=5m)');
   console.log('   GET    /admin/health           - Service health summary');
   console.log('   GET    /admin/health/services  - Detailed service health');
   console.log('   POST   /admin/health/check     - Trigger health check');
   console.log('   GET    /admin/routes           - View routing table');
+  console.log('   POST   /admin/routes/reload    - Reload route config');
+  console.log('   GET    /admin/routes/revisions - Route table revisions');
+  console.log('   GET    /admin/routes/diff      - Diff two revisions');
+  console.log('   POST   /admin/routes/rollback/:revision - Roll back routes');
   console.log('   PUT    /admin/routes/:path     - Update route');
   console.log('   DELETE /admin/routes/:path     - Delete route');
   console.log('   GET    /admin/cache/stats      - Cache statistics');
   console.log('   GET    /admin/cache/details    - Cache details');
   console.log('   POST   /admin/cache/clear      - Clear cache');
   console.log('   GET    /admin/loadbalancer/stats - Load balancer stats');
+  console.log('   PUT    /admin/loadbalancer/:path - Set route strategy');
   console.log('   GET    /admin/ratelimiter/stats  - Rate limiter stats');
+  console.log('   GET    /admin/audit            - Audit log of admin changes');
+  console.log('   GET    /admin/apikeys          - Managed API keys (POST/PATCH/DELETE, /:id/rotate)');
+  console.log('   GET    /admin/policies/explain - Explain an authorization decision');
+  console.log('   GET    /admin/tls              - TLS listener and certificates');
   console.log('');
   console.log('🔐 Authentication:');
-  console.log('   POST   /auth/token             - Generate JWT token');
+  console.log('   POST   /auth/token             - Issue tokens (password / client_credentials / refresh_token)');
+  console.log('   POST   /auth/revoke            - Revoke a refresh token');
   console.log('   GET    /metrics                - Prometheus metrics');
   console.log('');
   console.log('📊 Usage Examples:');
   console.log('   # Get JWT token');
   console.log('   curl -X POST http://localhost:8080/auth/token \\');
   console.log('     -H "Content-Type: application/json" \\');
-  console.log('     -d \'{"userId": "user123", "role": "admin"}\'');
+  console.log('     -d \'{"grant_type": "password", "username": "alice", "password": "..."}\'');
   console.log('');
   console.log('   # Make authenticated request');
   console.log('   curl -H "Authorization: Bearer <token>" \\');
@@ -273,14 +279,68 @@ const server = app.listen(PORT, () => {
   console.log('');
 });
 
+// Admin API on its own port/interface when configured
+const adminServer = ADMIN_PORT
+  ? createAdminApp().listen(ADMIN_PORT, ADMIN_HOST, () => {
+    console.log(`Admin API listening on http://${ADMIN_HOST}:${ADMIN_PORT}`);
+  })
+  : null;
+
+// HTTPS / HTTP/2 listener (with optional client certificates) when configured
+let tlsServer = null;
+if (isTlsEnabled()) {
+  try {
+    tlsServer = startTlsServer(createGatewayApp, () => {
+      console.log(`TLS listener on https://localhost:${TLS_PORT}`);
+    });
+  } catch (err) {
+    if (!(err instanceof TlsConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
 // Initialize health checker
-initHealthChecker(routes);
+initHealthChecker();
+initWebhooks();
+initTracing();
+
+// Keep the health checker in sync with route changes (reloads and admin updates)
+onConfigChange((config, previous) => {
+  updateHealthCheckTargets();
+
+  const { version, source } = getConfigVersion();
+  emitGatewayEvent('route.changed', { version, source, ...diffRoutes(previous, config) });
+
+  // Admin changes record their own revision with the caller as author
+  if (getConfigVersion().source === 'file') {
+    recordRevision({ author: 'file', action: 'reload' }).catch(err => {
+      console.error('Failed to record route revision:', err.message);
+    });
+  }
+});
+
+// Hot reload of the route configuration
+if (process.env.ROUTES_WATCH !== 'false') {
+  watchConfig();
+}
+
+process.on('SIGHUP', () => {
+  console.log('SIGHUP received. Reloading route configuration...');
+  reloadConfig();
+});
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  unwatchConfig();
+  unwatchUpstreamTls();
+  if (adminServer) adminServer.close();
+  if (tlsServer) closeTlsServer();
+  server.close(async () => {
     console.log('Server closed');
+    await Promise.all([flushSpans(), flushAccessLog()]);
+    await closeRedisClient();
     process.exit(0);
   });
 });
@@ -0,0 +1,175 @@
+/**
+ * Token Introspection Module
+ * Validates opaque OAuth2 access tokens against an authorization server
+ * (RFC 7662). Active results are cached until the token's `exp` (capped by
+ * OAUTH_INTROSPECTION_CACHE_TTL), inactive ones in a short negative cache.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+const INTROSPECTION_URL = process.env.OAUTH_INTROSPECTION_URL || null;
+const CLIENT_ID = process.env.OAUTH_CLIENT_ID || null;
+const CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || null;
+const AUDIENCE = process.env.OAUTH_AUDIENCE || null;
+const ROLE_CLAIM = process.env.OAUTH_ROLE_CLAIM || 'role';
+const CACHE_TTL = parseInt(process.env.OAUTH_INTROSPECTION_CACHE_TTL, 10) || 300;       // seconds
+const NEGATIVE_TTL = parseInt(process.env.OAUTH_INTROSPECTION_NEGATIVE_TTL, 10) || 60;  // seconds
+const MAX_ENTRIES = parseInt(process.env.OAUTH_INTROSPECTION_MAX_ENTRIES, 10) || 10000;
+const TIMEOUT = parseInt(process.env.OAUTH_INTROSPECTION_TIMEOUT, 10) || 5000;          // ms
+
+/**
+ * The authorization server could not answer (not cached; the caller gets 503)
+ */
+export class IntrospectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntrospectionError';
+  }
+}
+
+// sha256(token) -> { user | null, expiresAt }; Map order doubles as age for eviction
+const cache = new Map();
+const inflight = new Map();
+const stats = { hits: 0, negativeHits: 0, misses: 0, errors: 0 };
+
+export function isIntrospectionEnabled() {
+  return INTROSPECTION_URL !== null;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function remember(key, user, expiresAt) {
+  cache.delete(key);
+  cache.set(key, { user, expiresAt });
+  while (cache.size > MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Caller identity from an introspection response, or null if the token
+ * must not be accepted
+ */
+function toUser(result, now) {
+  if (!result || result.active !== true) return null;
+  if (typeof result.exp === 'number' && result.exp <= now) return null;
+  if (typeof result.nbf === 'number' && result.nbf > now) return null;
+  if (AUDIENCE && ![].concat(result.aud ?? []).includes(AUDIENCE)) return null;
+
+  const subject = result.sub || result.username || (result.client_id && `client:${result.client_id}`);
+  return {
+    userId: subject,
+    sub: result.sub,
+    username: result.username,
+    clientId: result.client_id,
+    scope: result.scope,
+    role: result[ROLE_CLAIM] || 'user',
+    exp: result.exp,
+    iss: result.iss,
+    tokenType: 'introspected'
+  };
+}
+
+async function requestIntrospection(token) {
+  const headers = { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (CLIENT_ID) {
+    headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET || '')}`).toString('base64')}`;
+  }
+
+  let response;
+  try {
+    response = await axios.post(
+      INTROSPECTION_URL,
+      new URLSearchParams({ token, token_type_hint: 'access_token' }).toString(),
+      { headers, timeout: TIMEOUT }
+    );
+  } catch (err) {
+    throw new IntrospectionError(`Introspection request failed: ${err.message}`);
+  }
+
+  if (!response.data || typeof response.data.active !== 'boolean') {
+    throw new IntrospectionError('Introspection response has no "active" field');
+  }
+  return response.data;
+}
+
+/**
+ * Validate an opaque token
+ * @returns {Promise<Object|null>} req.user for an active token, null otherwise
+ * @throws {IntrospectionError} when the authorization server is unavailable
+ */
+export async function introspectToken(token) {
+  const key = hashToken(token);
+  const now = Date.now();
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > now) {
+    if (cached.user) stats.hits++;
+    else stats.negativeHits++;
+    return cached.user && { ...cached.user };
+  }
+
+  // Concurrent requests with the same token share one introspection call
+  if (!inflight.has(key)) {
+    stats.misses++;
+    inflight.set(key, requestIntrospection(token)
+      .then(result => {
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const user = toUser(result, nowSeconds);
+
+        if (user) {
+          const ttl = typeof user.exp === 'number' ? Math.min(CACHE_TTL, user.exp - nowSeconds) : CACHE_TTL;
+          remember(key, user, Date.now() + ttl * 1000);
+        } else {
+          remember(key, null, Date.now() + NEGATIVE_TTL * 1000);
+        }
+        return user;
+      })
+      .catch(err => {
+        stats.errors++;
+        throw err;
+      })
+      .finally(() => inflight.delete(key)));
+  }
+
+  const user = await inflight.get(key);
+  return user && { ...user };
+}
+
+/**
+ * Forget cached results (all, or one token) - e.g. after revoking tokens
+ */
+export function clearIntrospectionCache(token) {
+  if (token) {
+    return cache.delete(hashToken(token)) ? 1 : 0;
+  }
+  const cleared = cache.size;
+  cache.clear();
+  return cleared;
+}
+
+/**
+ * Introspection settings and cache counters
+ */
+export function getIntrospectionStats() {
+  const now = Date.now();
+  let active = 0;
+  let negative = 0;
+  cache.forEach(entry => {
+    if (entry.expiresAt <= now) return;
+    if (entry.user) active++;
+    else negative++;
+  });
+
+  return {
+    enabled: isIntrospectionEnabled(),
+    url: INTROSPECTION_URL,
+    clientId: CLIENT_ID,
+    audience: AUDIENCE,
+    cacheTtl: CACHE_TTL,
+    negativeTtl: NEGATIVE_TTL,
+    cache: { active, negative, max: MAX_ENTRIES },
+    ...stats
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * JWT Verifier Module
+ * Verifies gateway-issued HS256 tokens (JWT_SECRET) and RS/PS/ES/EdDSA tokens
+ * from trusted issuers, with keys from static PEM files or a JWKS URL
+ * (kid selection, background refresh, rotation overlap)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const ISSUERS_PATH = process.env.JWT_ISSUERS_PATH || path.join(PROJECT_ROOT, 'config/issuers.json');
+// `iss` of tokens signed by the gateway itself
+export const LOCAL_ISSUER = process.env.JWT_ISSUER || 'api-gateway';
+const CLOCK_TOLERANCE = parseInt(process.env.JWT_CLOCK_TOLERANCE, 10) || 30;                 // seconds
+const JWKS_REFRESH_INTERVAL = parseInt(process.env.JWKS_REFRESH_INTERVAL, 10) || 300000;     // ms
+const JWKS_MIN_REFETCH_INTERVAL = parseInt(process.env.JWKS_MIN_REFETCH_INTERVAL, 10) || 30000; // ms
+const JWKS_KEY_OVERLAP = parseInt(process.env.JWKS_KEY_OVERLAP, 10) || 3600000;             // ms
+const JWKS_TIMEOUT = parseInt(process.env.JWKS_TIMEOUT, 10) || 5000;                         // ms
+
+// Signature algorithms accepted from external issuers. HS* never is: a
+// public key must not double as an HMAC secret.
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', keyTypes: ['rsa'] },
+  RS384: { hash: 'sha384', keyTypes: ['rsa'] },
+  RS512: { hash: 'sha512', keyTypes: ['rsa'] },
+  PS256: { hash: 'sha256', keyTypes: ['rsa', 'rsa-pss'], pss: true },
+  PS384: { hash: 'sha384', keyTypes: ['rsa', 'rsa-pss'], pss: true },
+  PS512: { hash: 'sha512', keyTypes: ['rsa', 'rsa-pss'], pss: true },
+  ES256: { hash: 'sha256', keyTypes: ['ec'], curve: 'prime256v1' },
+  ES384: { hash: 'sha384', keyTypes: ['ec'], curve: 'secp384r1' },
+  ES512: { hash: 'sha512', keyTypes: ['ec'], curve: 'secp521r1' },
+  EdDSA: { hash: null, keyTypes: ['ed25519', 'ed448'] }
+};
+const DEFAULT_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
+
+/**
+ * Token rejected; the message says why (never sent to the client)
+ */
+export class JwtVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtVerificationError';
+  }
+}
+
+function keyMatchesAlgorithm(key, alg) {
+  const spec = ALGORITHMS[alg];
+  if (!spec || !spec.keyTypes.includes(key.asymmetricKeyType)) return false;
+  return !spec.curve || key.asymmetricKeyDetails?.namedCurve === spec.curve;
+}
+
+/**
+ * Static keys from PEM files (paths relative to the project root) or inline PEM
+ * @param {Array} keys - [{ kid, pem }]
+ */
+function createStaticKeySource(keys) {
+  const entries = keys.map(({ kid = null, pem }) => {
+    const source = pem.includes('-----BEGIN') ? pem : fs.readFileSync(path.resolve(PROJECT_ROOT, pem), 'utf-8');
+    return { kid, key: crypto.createPublicKey(source), alg: null };
+  });
+
+  return {
+    type: 'static',
+    async getKeys() {
+      return entries;
+    },
+    async refresh() {},
+    stats() {
+      return { type: 'static', keys: entries.map(entry => entry.kid) };
+    }
+  };
+}
+
+/**
+ * Keys from a JWKS endpoint. Keys that disappear from the set stay usable for
+ * JWKS_KEY_OVERLAP ms so tokens signed just before a rotation still verify;
+ * a failed fetch keeps the last good keys.
+ */
+function createJwksKeySource(jwksUri) {
+  const entries = new Map(); // kid (or key thumbprint) -> { kid, key, alg, seenAt }
+  let lastFetchAt = 0;
+  let lastError = null;
+  let inflight = null;
+
+  async function fetchKeys() {
+    const response = await axios.get(jwksUri, { timeout: JWKS_TIMEOUT, headers: { Accept: 'application/json' } });
+    if (!response.data || !Array.isArray(response.data.keys)) {
+      throw new Error('response has no "keys" array');
+    }
+
+    const now = Date.now();
+    for (const jwk of response.data.keys) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      if (!['RSA', 'EC', 'OKP'].includes(jwk.kty)) continue;
+
+      let key;
+      try {
+        key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      } catch (err) {
+        console.warn(`JWKS ${jwksUri}: skipping unusable key ${jwk.kid || ''}: ${err.message}`);
+        continue;
+      }
+
+      const id = jwk.kid || crypto.createHash('sha256').update(key.export({ type: 'spki', format: 'der' })).digest('hex');
+      entries.set(id, { kid: jwk.kid || null, key, alg: jwk.alg || null, seenAt: now });
+    }
+
+    entries.forEach((entry, id) => {
+      if (now - entry.seenAt > JWKS_KEY_OVERLAP) entries.delete(id);
+    });
+    lastError = null;
+  }
+
+  // One fetch at a time; concurrent callers share it
+  function refresh() {
+    if (!inflight) {
+      lastFetchAt = Date.now();
+      inflight = fetchKeys()
+        .catch(err => {
+          lastError = err.message;
+          console.error(`JWKS fetch from ${jwksUri} failed: ${err.message}`);
+        })
+        .finally(() => { inflight = null; });
+    }
+    return inflight;
+  }
+
+  return {
+    type: 'jwks',
+
+    /**
+     * Keys for a token; an unknown kid triggers a refetch (at most every
+     * JWKS_MIN_REFETCH_INTERVAL ms) in case the issuer has rotated
+     */
+    async getKeys(kid) {
+      const known = () => [...entries.values()].filter(entry => !kid || entry.kid === kid);
+
+      if (known().length === 0 && Date.now() - lastFetchAt >= JWKS_MIN_REFETCH_INTERVAL) {
+        await refresh();
+      } else if (inflight) {
+        await inflight;
+      }
+      return known();
+    },
+
+    refresh,
+
+    stats() {
+      return {
+        type: 'jwks',
+        uri: jwksUri,
+        keys: [...entries.values()].map(entry => entry.kid),
+        lastFetchAt: lastFetchAt ? new Date(lastFetchAt) : null,
+        lastError
+      };
+    }
+  };
+}
+
+let issuers = new Map();
+let refreshTimer = null;
+
+function loadIssuer(definition) {
+  const { issuer, audience = null, algorithms = DEFAULT_ALGORITHMS, jwksUri, keys } = definition;
+
+  if (!issuer) throw new Error('issuer is required');
+  if (issuer === LOCAL_ISSUER) throw new Error(`"${issuer}" is the gateway's own issuer (JWT_ISSUER)`);
+  if (!jwksUri === !keys) throw new Error(`${issuer}: set exactly one of "jwksUri" or "keys"`);
+
+  const unknown = algorithms.filter(alg => !ALGORITHMS[alg]);
+  if (unknown.length > 0) throw new Error(`${issuer}: unsupported algorithms ${unknown.join(', ')}`);
+
+  return {
+    issuer,
+    audience: audience === null ? null : [].concat(audience),
+    algorithms,
+    keys: jwksUri ? createJwksKeySource(jwksUri) : createStaticKeySource(keys)
+  };
+}
+
+/**
+ * Load trusted issuers (config/issuers.json or JWT_ISSUERS_PATH), fetch their
+ * JWKS and start the background refresh. Without the file only gateway-issued
+ * tokens are accepted.
+ */
+export async function initJwtVerifier(filePath = ISSUERS_PATH) {
+  let definitions = [];
+  try {
+    definitions = JSON.parse(fs.readFileSync(filePath, 'utf-8')).issuers || [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Invalid issuers file ${filePath}: ${err.message}`);
+  }
+
+  issuers = new Map(definitions.map(definition => {
+    const loaded = loadIssuer(definition);
+    return [loaded.issuer, loaded];
+  }));
+
+  await Promise.all([...issuers.values()].map(({ keys }) => keys.refresh()));
+
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  if ([...issuers.values()].some(({ keys }) => keys.type === 'jwks')) {
+    refreshTimer = setInterval(() => {
+      issuers.forEach(({ keys }) => keys.refresh());
+    }, JWKS_REFRESH_INTERVAL);
+    refreshTimer.unref();
+  }
+
+  if (issuers.size > 0) {
+    console.log(`Trusted JWT issuers: ${[...issuers.keys()].join(', ')}`);
+  }
+}
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString());
+  } catch (err) {
+    throw new JwtVerificationError('Malformed token');
+  }
+}
+
+function verifySignature(alg, key, data, signature) {
+  const { hash, pss } = ALGORITHMS[alg];
+  const options = { key, dsaEncoding: 'ieee-p1363' };
+  if (pss) {
+    options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  return crypto.verify(hash, Buffer.from(data), options, signature);
+}
+
+function checkClaims(payload, { issuer, audience }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.iss !== issuer) {
+    throw new JwtVerificationError('Issuer mismatch');
+  }
+  if (typeof payload.exp !== 'number') {
+    throw new JwtVerificationError('Token has no expiry');
+  }
+  if (now - CLOCK_TOLERANCE >= payload.exp) {
+    throw new JwtVerificationError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && now + CLOCK_TOLERANCE < payload.nbf) {
+    throw new JwtVerificationError('Token not yet valid');
+  }
+  if (audience && ![].concat(payload.aud ?? []).some(aud => audience.includes(aud))) {
+    throw new JwtVerificationError('Audience mismatch');
+  }
+}
+
+async function verifyIssuerToken(token, header, payload, issuer) {
+  if (!issuer.algorithms.includes(header.alg)) {
+    throw new JwtVerificationError(`Algorithm ${header.alg} not allowed for ${issuer.issuer}`);
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  const candidates = (await issuer.keys.getKeys(header.kid))
+    .filter(({ key, alg }) => (!alg || alg === header.alg) && keyMatchesAlgorithm(key, header.alg));
+
+  if (candidates.length === 0) {
+    throw new JwtVerificationError(`No ${header.alg} key${header.kid ? ` "${header.kid}"` : ''} for ${issuer.issuer}`);
+  }
+
+  const valid = candidates.some(({ key }) => {
+    try {
+      return verifySignature(header.alg, key, `${encodedHeader}.${encodedPayload}`, signature);
+    } catch (err) {
+      return false;
+    }
+  });
+  if (!valid) {
+    throw new JwtVerificationError('Invalid signature');
+  }
+
+  checkClaims(payload, issuer);
+
+  // Downstream code identifies callers by userId
+  return payload.userId === undefined ? { ...payload, userId: payload.sub } : payload;
+}
+
+/**
+ * Verify a bearer token. Tokens whose `iss` is a trusted issuer are checked
+ * against that issuer's keys; tokens without `iss` or with the gateway's own
+ * (JWT_ISSUER) are HS256 with JWT_SECRET.
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {JwtVerificationError}
+ */
+export async function verifyJwt(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new JwtVerificationError('Malformed token');
+  }
+
+  const header = decodePart(parts[0]);
+  const payload = decodePart(parts[1]);
+
+  const issuer = payload.iss !== undefined ? issuers.get(payload.iss) : null;
+  if (issuer) {
+    return verifyIssuerToken(token, header, payload, issuer);
+  }
+
+  if (payload.iss !== undefined && payload.iss !== LOCAL_ISSUER) {
+    throw new JwtVerificationError(`Untrusted issuer ${payload.iss}`);
+  }
+
+  try {
+    return jwt.verify(token, secret, { algorithms: ['HS256'], clockTolerance: CLOCK_TOLERANCE });
+  } catch (err) {
+    throw new JwtVerificationError(err.message);
+  }
+}
+
+/**
+ * Refetch every JWKS now (e.g. right after an emergency key rotation)
+ */
+export async function refreshJwks() {
+  await Promise.all([...issuers.values()].map(({ keys }) => keys.refresh()));
+  return getJwtIssuers();
+}
+
+/**
+ * Trusted issuers and their key state (admin API)
+ */
+export function getJwtIssuers() {
+  return [...issuers.values()].map(({ issuer, audience, algorithms, keys }) => ({
+    issuer,
+    audience,
+    algorithms,
+    keys: keys.stats()
+  }));
+}
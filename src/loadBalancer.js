@@ -1,11 +1,31 @@
 /**
  * Load Balancer Module
- * Supports: Round Robin, Weighted Round Robin, Least Connections
+ * Supports: Round Robin, Weighted (random & smooth), Least Connections,
+ * Random, Power of Two Choices, Consistent Hashing (sticky sessions)
  */
 
+import crypto from 'crypto';
+
+export const STRATEGIES = [
+  'round-robin',
+  'weighted',
+  'smooth-weighted',
+  'least-connections',
+  'random',
+  'power-of-two-choices',
+  'consistent-hash'
+];
+
+// Virtual nodes per unit of weight on the consistent-hash ring
+const VIRTUAL_NODES = parseInt(process.env.LB_HASH_VIRTUAL_NODES, 10) || 160;
+
 const counters = {};
 const activeConnections = {};
 const weights = {};
+const smoothWeights = {};
+const distribution = {};
+const lastStrategy = {};
+const hashRings = {};
 
 /**
  * Round Robin Load Balancing
@@ -26,9 +46,8 @@ export function getNextTargetRoundRobin(path, services) {
  * @param {Object} serviceWeights - Object mapping services to weights
  */
 export function getNextTargetWeighted(path, services, serviceWeights = {}) {
-  if (!weights[path]) {
-    weights[path] = services.map(s => serviceWeights[s] || 1);
-  }
+  // Recomputed per call: the candidate list shrinks when services go unhealthy
+  weights[path] = services.map(s => serviceWeights[s] || 1);
 
   let totalWeight = weights[path].reduce((a, b) => a + b, 0);
   let random = Math.random() * totalWeight;
@@ -49,12 +68,15 @@ export function getNextTargetWeighted(path, services, serviceWeights = {}) {
 export function getNextTargetLeastConnections(path, services) {
   if (!activeConnections[path]) {
     activeConnections[path] = {};
-    services.forEach(s => {
-      activeConnections[path][s] = 0;
-    });
   }
+  services.forEach(s => {
+    if (activeConnections[path][s] === undefined) {
+      activeConnections[path][s] = 0;
+    }
+  });
 
-  let minConnections = Math.min(...Object.values(activeConnections[path]));
+  // Only compare the candidates we were given
+  let minConnections = Math.min(...services.map(s => activeConnections[path][s]));
   const leastLoadedServices = services.filter(
     s => activeConnections[path][s] === minConnections
   );
@@ -62,6 +84,171 @@ export function getNextTargetLeastConnections(path, services) {
   return leastLoadedServices[Math.floor(Math.random() * leastLoadedServices.length)];
 }
 
+/**
+ * Smooth Weighted Round Robin (as in nginx)
+ * Interleaves picks instead of sending weight-sized bursts to one service
+ */
+export function getNextTargetSmoothWeighted(path, services, serviceWeights = {}) {
+  if (!smoothWeights[path]) {
+    smoothWeights[path] = {};
+  }
+
+  const current = smoothWeights[path];
+  let totalWeight = 0;
+  let best = null;
+
+  services.forEach(s => {
+    const weight = serviceWeights[s] || 1;
+    current[s] = (current[s] || 0) + weight;
+    totalWeight += weight;
+
+    if (best === null || current[s] > current[best]) {
+      best = s;
+    }
+  });
+
+  current[best] -= totalWeight;
+  return best;
+}
+
+/**
+ * Random selection
+ */
+export function getNextTargetRandom(path, services) {
+  return services[Math.floor(Math.random() * services.length)];
+}
+
+/**
+ * Power of Two Choices
+ * Samples two services at random and takes the one with fewer active connections
+ */
+export function getNextTargetPowerOfTwo(path, services) {
+  if (services.length === 1) return services[0];
+
+  const first = Math.floor(Math.random() * services.length);
+  let second = Math.floor(Math.random() * (services.length - 1));
+  if (second >= first) second++;
+
+  const connections = activeConnections[path] || {};
+  const a = services[first];
+  const b = services[second];
+
+  return (connections[b] || 0) < (connections[a] || 0) ? b : a;
+}
+
+/**
+ * 32-bit position on the hash ring
+ */
+function hashPosition(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
+/**
+ * Build (or reuse) the ring for a route. The ring always holds every
+ * configured upstream so that taking one out only moves that upstream's keys.
+ */
+function getHashRing(path, allServices, serviceWeights) {
+  const signature = allServices.map(s => `${s}*${serviceWeights[s] || 1}`).sort().join(',');
+  const cached = hashRings[path];
+
+  if (cached && cached.signature === signature) {
+    return cached.ring;
+  }
+
+  const ring = [];
+  allServices.forEach(service => {
+    const nodes = VIRTUAL_NODES * (serviceWeights[service] || 1);
+    for (let i = 0; i < nodes; i++) {
+      ring.push({ position: hashPosition(`${service}#${i}`), service });
+    }
+  });
+  ring.sort((a, b) => a.position - b.position);
+
+  hashRings[path] = { signature, ring };
+  return ring;
+}
+
+/**
+ * Consistent Hashing (ring with virtual nodes)
+ * The same key always maps to the same service while it is available;
+ * unavailable services are skipped by walking clockwise to the next node.
+ * @param {string} path - Route path
+ * @param {string[]} services - Candidate (healthy) service URLs
+ * @param {string} key - Hash key (user id, header, cookie or client IP)
+ * @param {string[]} allServices - Every configured service for the route
+ * @param {Object} serviceWeights - Object mapping services to weights
+ */
+export function getNextTargetConsistentHash(path, services, key, allServices = services, serviceWeights = {}) {
+  const ring = getHashRing(path, allServices, serviceWeights);
+  const candidates = new Set(services);
+  const position = hashPosition(key);
+
+  // Binary search for the first node at or after the key's position
+  let low = 0;
+  let high = ring.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (ring[mid].position < position) low = mid + 1;
+    else high = mid;
+  }
+
+  for (let i = 0; i < ring.length; i++) {
+    const node = ring[(low + i) % ring.length];
+    if (candidates.has(node.service)) {
+      return node.service;
+    }
+  }
+
+  // Candidates outside the configured set (should not happen)
+  return services[0];
+}
+
+/**
+ * Pick a target using the given strategy and record the decision
+ * @param {string} path - Route path
+ * @param {string[]} services - Candidate (healthy) service URLs
+ * @param {Object} options - { strategy, weights: { url: weight }, hashKey, allServices }
+ */
+export function selectTarget(path, services, {
+  strategy = 'round-robin',
+  weights: serviceWeights = {},
+  hashKey,
+  allServices
+} = {}) {
+  let target;
+
+  switch (strategy) {
+    case 'weighted':
+      target = getNextTargetWeighted(path, services, serviceWeights);
+      break;
+    case 'smooth-weighted':
+      target = getNextTargetSmoothWeighted(path, services, serviceWeights);
+      break;
+    case 'least-connections':
+      target = getNextTargetLeastConnections(path, services);
+      break;
+    case 'random':
+      target = getNextTargetRandom(path, services);
+      break;
+    case 'power-of-two-choices':
+      target = getNextTargetPowerOfTwo(path, services);
+      break;
+    case 'consistent-hash':
+      target = getNextTargetConsistentHash(path, services, hashKey, allServices, serviceWeights);
+      break;
+    default:
+      target = getNextTargetRoundRobin(path, services);
+  }
+
+  if (!distribution[path]) {
+    distribution[path] = {};
+  }
+  distribution[path][target] = (distribution[path][target] || 0) + 1;
+  lastStrategy[path] = strategy;
+
+  return target;
+}
+
 /**
  * Track connection increase
  */
@@ -87,10 +274,39 @@ export function decrementConnections(path, target) {
 /**
  * Get statistics
  */
-export function getLoadBalancerStats() {
+export function getLoadBalancerStats(routes = []) {
+  const paths = new Set([...routes.map(route => route.path), ...Object.keys(distribution)]);
+  const routeStats = {};
+
+  paths.forEach(path => {
+    const configured = routes.find(route => route.path === path);
+    const picks = distribution[path] || {};
+    const total = Object.values(picks).reduce((a, b) => a + b, 0);
+
+    routeStats[path] = {
+      strategy: configured ? configured.strategy : lastStrategy[path],
+      totalRequests: total,
+      distribution: Object.fromEntries(Object.entries(picks).map(([target, count]) => [target, {
+        requests: count,
+        share: (count / total * 100).toFixed(2) + '%'
+      }])),
+      activeConnections: activeConnections[path] || {},
+      ...(hashRings[path] && { hashRingNodes: hashRings[path].ring.length })
+    };
+  });
+
   return {
+    routes: routeStats,
     roundRobinCounters: counters,
     activeConnections,
-    weights
+    weights,
+    smoothWeights
   };
 }
+
+/**
+ * Reset traffic distribution counters (for testing)
+ */
+export function resetLoadBalancerStats() {
+  Object.keys(distribution).forEach(path => delete distribution[path]);
+}
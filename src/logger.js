@@ -1,9 +1,22 @@
 /**
  * Logger & Metrics Module
  * Tracks requests, latency, and service metrics
+ * JSON summary for /admin/metrics, Prometheus/OpenMetrics exposition for /metrics
  */
 
-import morgan from 'morgan';
+import { createCounter, createGauge, createHistogram, renderMetrics, resetRegistry } from './prometheus.js';
+import { matchRoute } from './config.js';
+import { getHealthStatus } from './healthChecker.js';
+import { getLoadBalancerStats } from './loadBalancer.js';
+import { onGatewayEvent } from './events.js';
+import { recordWindowedRequest, getWindowSummaries, resetWindowedMetrics } from './windowedMetrics.js';
+
+const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const LATENCY_BUCKETS = process.env.METRICS_LATENCY_BUCKETS
+  ? process.env.METRICS_LATENCY_BUCKETS.split(',').map(Number).filter(bound => bound > 0)
+  : DEFAULT_LATENCY_BUCKETS;
+const KNOWN_METHODS = ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
 
 const metrics = {
   totalRequests: 0,
@@ -12,6 +25,11 @@ const metrics = {
   requestsByPath: {},
   requestsByStatus: {},
   latencyByService: {},
+  retries: {
+    total: 0,
+    byRoute: {},
+    byReason: {}
+  },
   latencyStats: {
     min: Infinity,
     max: 0,
@@ -20,20 +38,89 @@ const metrics = {
   }
 };
 
-/**
- * Morgan logging middleware
- */
-export const logger = morgan(':method :url :status :res[content-length] - :response-time ms');
+// Prometheus metrics. Label values are kept to routes, upstreams, known
+// methods and status classes so the number of series stays bounded.
+const requestsTotal = createCounter('gateway_requests_total',
+  'Requests handled by the gateway', ['route', 'upstream', 'method', 'status_class']);
+const requestDuration = createHistogram('gateway_request_duration_seconds',
+  'End-to-end request duration in seconds', ['route', 'method', 'status_class'], LATENCY_BUCKETS);
+const requestsInFlight = createGauge('gateway_requests_in_flight',
+  'Requests currently being handled', ['route']);
+const upstreamDuration = createHistogram('gateway_upstream_request_duration_seconds',
+  'Duration of each upstream attempt until response headers, in seconds', ['route', 'upstream', 'status_class'], LATENCY_BUCKETS);
+createGauge('gateway_upstream_requests_in_flight',
+  'Requests currently proxied to an upstream', ['route', 'upstream'],
+  () => Object.entries(getLoadBalancerStats().activeConnections).flatMap(([route, connections]) =>
+    Object.entries(connections).map(([upstream, value]) => ({ labels: { route, upstream }, value }))));
+const cacheRequests = createCounter('gateway_cache_requests_total',
+  'Response cache lookups', ['route', 'result']);
+const rateLimitRejections = createCounter('gateway_rate_limit_rejections_total',
+  'Requests rejected by the rate limiter', ['route', 'limit']);
+const retriesTotal = createCounter('gateway_retries_total',
+  'Upstream retries', ['route', 'upstream', 'reason']);
+createGauge('gateway_upstream_healthy',
+  'Whether the upstream passes its active health checks (1) or not (0)', ['upstream'],
+  () => getHealthStatus().map(({ service, healthy }) => ({ labels: { upstream: service }, value: healthy ? 1 : 0 })));
+createGauge('gateway_upstream_ejected',
+  'Whether the upstream is ejected by outlier detection', ['upstream'],
+  () => getHealthStatus().map(({ service, outlier }) => ({ labels: { upstream: service }, value: outlier.ejected ? 1 : 0 })));
+createGauge('gateway_circuit_state',
+  'Circuit breaker state per upstream (1 for the current state)', ['upstream', 'state'],
+  () => getHealthStatus().flatMap(({ service, circuit }) => CIRCUIT_STATES.map(state => ({
+    labels: { upstream: service, state },
+    value: circuit.state === state ? 1 : 0
+  }))));
+const circuitTransitions = createCounter('gateway_circuit_transitions_total',
+  'Circuit breaker state changes', ['upstream', 'state']);
+const outlierEjections = createCounter('gateway_outlier_ejections_total',
+  'Upstreams ejected by outlier detection', ['route', 'upstream']);
+
+onGatewayEvent(({ type, data }) => {
+  if (type.startsWith('circuit.')) {
+    circuitTransitions.inc({ upstream: data.service, state: type.slice('circuit.'.length) });
+  } else if (type === 'service.ejected') {
+    outlierEjections.inc({ route: data.route, upstream: data.service });
+  }
+});
+
+const statusClass = (status) => status ? `${String(status)[0]}xx` : 'error';
+const methodLabel = (method) => KNOWN_METHODS.includes(method) ? method : 'OTHER';
 
 /**
  * Custom metrics collection middleware
  */
 export function metricsMiddleware(req, res, next) {
   const startTime = Date.now();
-  
+  const startedAt = process.hrtime.bigint();
+  const route = matchRoute(req.path);
+  const routeLabel = route ? route.path : 'none';
+
+  requestsInFlight.inc({ route: routeLabel });
+  let done = false;
+  res.once('close', () => {
+    if (!done) requestsInFlight.dec({ route: routeLabel });
+    done = true;
+  });
+
   res.on('finish', () => {
+    if (!done) requestsInFlight.dec({ route: routeLabel });
+    done = true;
+
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const method = methodLabel(req.method);
+    // Set by the router, never taken from the client (label values stay bounded)
+    const upstream = req.gatewayUpstream || 'none';
+    requestsTotal.inc({
+      route: routeLabel,
+      upstream,
+      method,
+      status_class: statusClass(res.statusCode)
+    });
+    requestDuration.observe({ route: routeLabel, method, status_class: statusClass(res.statusCode) }, seconds);
+    recordWindowedRequest(routeLabel, upstream, res.statusCode, seconds * 1000);
+
     const latency = Date.now() - startTime;
-    const service = req.headers['x-forwarded-to'] || 'unknown';
+    const service = req.gatewayUpstream || 'unknown';
     const path = req.path;
     const status = res.statusCode;
 
@@ -77,14 +164,44 @@ export function metricsMiddleware(req, res, next) {
     if (status >= 400) {
       metrics.totalErrors++;
     }
-
-    // Log summary
-    console.log(`[${new Date().toISOString()}] ${req.method} ${path} -> ${service} | Status: ${status} | Latency: ${latency}ms`);
   });
 
   next();
 }
 
+/**
+ * Record a proxy retry (called by the router)
+ */
+export function recordRetry(route, target, reason) {
+  metrics.retries.total++;
+  metrics.retries.byRoute[route] = (metrics.retries.byRoute[route] || 0) + 1;
+  metrics.retries.byReason[reason] = (metrics.retries.byReason[reason] || 0) + 1;
+  retriesTotal.inc({ route, upstream: target, reason: String(reason) });
+}
+
+/**
+ * Record one upstream attempt (called by the router)
+ * @param {number|null} status - Upstream status, null when no response arrived
+ */
+export function recordUpstreamAttempt(route, upstream, status, latencyMs) {
+  upstreamDuration.observe({ route, upstream, status_class: statusClass(status) }, latencyMs / 1000);
+}
+
+/**
+ * Record a response cache lookup (called by the cache middleware)
+ */
+export function recordCacheLookup(route, hit) {
+  cacheRequests.inc({ route, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Record a rate limit rejection
+ * @param {string} limit - 'ip' or 'user'
+ */
+export function recordRateLimitRejection(route, limit) {
+  rateLimitRejections.inc({ route, limit });
+}
+
 /**
  * Get metrics
  */
@@ -100,59 +217,36 @@ export function getMetrics() {
     },
     errorRate: metrics.totalRequests > 0 
       ? (metrics.totalErrors / metrics.totalRequests * 100).toFixed(2) + '%'
-      : '0%'
+      : '0%',
+    windows: getWindowSummaries()
   };
 }
 
 /**
- * Prometheus-style metrics endpoint
+ * Prometheus metrics endpoint body
+ * @param {Object} options - { openMetrics } to render OpenMetrics instead of the Prometheus text format
  */
-export function getPrometheusMetrics() {
-  let output = '';
-
-  // Type definitions
-  output += '# HELP gateway_requests_total Total number of requests\n';
-  output += '# TYPE gateway_requests_total counter\n';
-  output += `gateway_requests_total ${metrics.totalRequests}\n\n`;
-
-  output += '# HELP gateway_errors_total Total number of errors\n';
-  output += '# TYPE gateway_errors_total counter\n';
-  output += `gateway_errors_total ${metrics.totalErrors}\n\n`;
-
-  output += '# HELP gateway_request_latency_ms Request latency in milliseconds\n';
-  output += '# TYPE gateway_request_latency_ms gauge\n';
-  output += `gateway_request_latency_ms{quantile="0.5"} ${metrics.latencyStats.total / Math.max(metrics.latencyStats.count, 1)}\n`;
-  output += `gateway_request_latency_ms{quantile="0.95"} ${metrics.latencyStats.max}\n`;
-  output += `gateway_request_latency_ms{quantile="1.0"} ${metrics.latencyStats.max}\n\n`;
-
-  // Requests by service
-  output += '# HELP gateway_requests_by_service Requests per service\n';
-  output += '# TYPE gateway_requests_by_service gauge\n';
-  Object.entries(metrics.requestsByService).forEach(([service, count]) => {
-    output += `gateway_requests_by_service{service="${service}"} ${count}\n`;
-  });
-  output += '\n';
-
-  // Requests by status code
-  output += '# HELP gateway_requests_by_status Requests per status code\n';
-  output += '# TYPE gateway_requests_by_status gauge\n';
-  Object.entries(metrics.requestsByStatus).forEach(([status, count]) => {
-    output += `gateway_requests_by_status{status="${status}"} ${count}\n`;
-  });
-
-  return output;
+export function getPrometheusMetrics({ openMetrics = false } = {}) {
+  return renderMetrics({ openMetrics });
 }
 
 /**
  * Reset metrics (for testing)
  */
 export function resetMetrics() {
+  resetRegistry();
+  resetWindowedMetrics();
   metrics.totalRequests = 0;
   metrics.totalErrors = 0;
   metrics.requestsByService = {};
   metrics.requestsByPath = {};
   metrics.requestsByStatus = {};
   metrics.latencyByService = {};
+  metrics.retries = {
+    total: 0,
+    byRoute: {},
+    byReason: {}
+  };
   metrics.latencyStats = {
     min: Infinity,
     max: 0,
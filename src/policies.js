@@ -0,0 +1,150 @@
+/**
+ * Authorization Policies Module
+ * Per-route, per-method rules on top of authentication: required roles and
+ * permissions, where a caller's permissions are those of their role
+ * (USER_ROLES) plus their token scopes. Evaluation is explainable step by step.
+ */
+
+// Permissions granted by each role
+export const USER_ROLES = {
+  'admin': ['read', 'write', 'delete'],
+  'user': ['read'],
+  'moderator': ['read', 'write'],
+  'api-consumer': ['read']
+};
+
+const compiledPaths = new Map();
+
+/**
+ * Compile a rule path: `:name` and `*` match one segment, a trailing `**`
+ * matches any remaining segments (including none)
+ */
+function compilePath(pattern) {
+  if (compiledPaths.has(pattern)) return compiledPaths.get(pattern);
+
+  const segments = pattern.split('/').filter(Boolean);
+  const matcher = (requestPath) => {
+    const parts = requestPath.split('/').filter(Boolean);
+    const params = {};
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment === '**') return params;
+      if (i >= parts.length) return null;
+
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(parts[i]);
+        } catch (err) {
+          params[segment.slice(1)] = parts[i];
+        }
+      } else if (segment !== '*' && segment !== parts[i]) {
+        return null;
+      }
+    }
+
+    return parts.length === segments.length ? params : null;
+  };
+
+  compiledPaths.set(pattern, matcher);
+  return matcher;
+}
+
+/**
+ * Check a rule path pattern (config validation)
+ * @returns {string|null} Problem description
+ */
+export function checkPolicyPath(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    return 'must be a path starting with /';
+  }
+  const segments = pattern.split('/').filter(Boolean);
+  if (segments.slice(0, -1).includes('**')) {
+    return '"**" is only allowed as the last segment';
+  }
+  return null;
+}
+
+const ruleMethods = (rule) => [].concat(rule.method ?? '*');
+
+export function describeRule(rule) {
+  return `${ruleMethods(rule).join(',')} ${rule.path || '(any path)'}`;
+}
+
+/**
+ * Permissions of a caller: their role's plus any token scopes
+ */
+export function callerPermissions(role, scopes = []) {
+  return [...new Set([...(USER_ROLES[role] || []), ...scopes])];
+}
+
+/**
+ * Decide whether a caller may make a request
+ * @param {Object} auth - Route auth options ({ public, roles, policies })
+ * @param {Object} request - { method, path }
+ * @param {Object|null} caller - { role, scopes }, null when unauthenticated
+ * @returns {Object} { allowed, reason, steps, rule, params }
+ */
+export function evaluateAccess(auth, { method, path }, caller) {
+  const steps = [];
+  const decide = (allowed, reason, extra = {}) => ({ allowed, reason, steps, rule: null, params: {}, ...extra });
+
+  if (auth.public) {
+    steps.push({ check: 'public', result: 'allow' });
+    return decide(true, 'Route is public');
+  }
+
+  if (!caller) {
+    steps.push({ check: 'authenticated', result: 'deny' });
+    return decide(false, 'Not authenticated');
+  }
+
+  const role = caller.role || 'user';
+  const permissions = callerPermissions(role, caller.scopes);
+
+  if (auth.roles.length > 0) {
+    const passed = auth.roles.includes(role);
+    steps.push({ check: 'route roles', required: auth.roles, role, result: passed ? 'pass' : 'deny' });
+    if (!passed) {
+      return decide(false, `Route requires one of roles ${auth.roles.join(', ')}; caller has ${role}`);
+    }
+  }
+
+  const index = auth.policies.findIndex(rule => {
+    const methods = ruleMethods(rule);
+    if (!methods.includes('*') && !methods.includes(method)) return false;
+    return !rule.path || compilePath(rule.path)(path) !== null;
+  });
+
+  if (index === -1) {
+    steps.push({ check: 'policies', rules: auth.policies.length, result: 'no match' });
+    return decide(true, auth.policies.length > 0 ? 'No policy rule matches; route access applies' : 'Route access applies');
+  }
+
+  const rule = auth.policies[index];
+  const params = rule.path ? compilePath(rule.path)(path) : {};
+  const matched = { rule: index, match: describeRule(rule) };
+
+  const roles = rule.roles || [];
+  if (roles.length > 0 && !roles.includes(role)) {
+    steps.push({ check: 'policy roles', ...matched, required: roles, role, result: 'deny' });
+    return decide(false, `Rule ${index} (${describeRule(rule)}) requires one of roles ${roles.join(', ')}; caller has ${role}`, { rule: index, params });
+  }
+
+  const missing = (rule.permissions || []).filter(permission => !permissions.includes(permission));
+  steps.push({
+    check: 'policy',
+    ...matched,
+    params,
+    required: { roles, permissions: rule.permissions || [] },
+    granted: permissions,
+    missing,
+    result: missing.length > 0 ? 'deny' : 'allow'
+  });
+
+  if (missing.length > 0) {
+    return decide(false, `Rule ${index} (${describeRule(rule)}) requires permission ${missing.join(', ')}; caller has ${permissions.join(', ') || 'none'}`, { rule: index, params });
+  }
+
+  return decide(true, `Allowed by rule ${index} (${describeRule(rule)})`, { rule: index, params });
+}
@@ -0,0 +1,156 @@
+/**
+ * Prometheus Metrics Module
+ * Minimal metrics registry: labeled counters, gauges and histograms,
+ * rendered in the Prometheus text format (0.0.4) or OpenMetrics (1.0.0)
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const families = new Map();
+
+function register(family) {
+  if (families.has(family.name)) {
+    throw new Error(`Metric ${family.name} is already registered`);
+  }
+  families.set(family.name, family);
+  return family;
+}
+
+const seriesKey = (labelNames, labels) => labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+
+function getSeries(family, labels, create) {
+  const key = seriesKey(family.labelNames, labels);
+
+  if (!family.series.has(key)) {
+    family.series.set(key, create(Object.fromEntries(
+      family.labelNames.map(name => [name, String(labels[name] ?? '')])
+    )));
+  }
+  return family.series.get(key);
+}
+
+/**
+ * Counter - only goes up. Name must end in _total.
+ */
+export function createCounter(name, help, labelNames = []) {
+  if (!name.endsWith('_total')) {
+    throw new Error(`Counter ${name} must end in _total`);
+  }
+
+  const family = register({ name, help, type: 'counter', labelNames, series: new Map() });
+
+  return {
+    inc(labels = {}, value = 1) {
+      getSeries(family, labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += value;
+    }
+  };
+}
+
+/**
+ * Gauge - set directly, or computed on every scrape by `collect`
+ * @param {Function} [collect] - returns [{ labels, value }]
+ */
+export function createGauge(name, help, labelNames = [], collect = null) {
+  const family = register({ name, help, type: 'gauge', labelNames, series: new Map(), collect });
+  const series = (labels) => getSeries(family, labels, seriesLabels => ({ labels: seriesLabels, value: 0 }));
+
+  return {
+    set(labels, value) {
+      series(labels).value = value;
+    },
+    inc(labels = {}, value = 1) {
+      series(labels).value += value;
+    },
+    dec(labels = {}, value = 1) {
+      series(labels).value -= value;
+    }
+  };
+}
+
+/**
+ * Histogram with fixed upper bounds (seconds for durations)
+ */
+export function createHistogram(name, help, labelNames = [], buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const family = register({ name, help, type: 'histogram', labelNames, series: new Map(), bounds });
+
+  return {
+    observe(labels, value) {
+      const series = getSeries(family, labels, seriesLabels => ({
+        labels: seriesLabels,
+        counts: bounds.map(() => 0),
+        sum: 0,
+        count: 0
+      }));
+
+      const index = bounds.findIndex(bound => value <= bound);
+      if (index !== -1) series.counts[index]++;
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = (help) => help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function renderFamily(family, openMetrics) {
+  // OpenMetrics names the counter family without the _total suffix
+  const familyName = openMetrics && family.type === 'counter' ? family.name.slice(0, -'_total'.length) : family.name;
+  const lines = [
+    `# HELP ${familyName} ${escapeHelp(family.help)}`,
+    `# TYPE ${familyName} ${family.type}`
+  ];
+
+  const series = family.collect
+    ? family.collect().map(({ labels, value }) => ({ labels, value }))
+    : [...family.series.values()];
+
+  series.forEach(({ labels, value, counts, sum, count }) => {
+    if (family.type !== 'histogram') {
+      lines.push(`${family.name}${formatLabels(labels)} ${formatValue(value)}`);
+      return;
+    }
+
+    let cumulative = 0;
+    family.bounds.forEach((bound, i) => {
+      cumulative += counts[i];
+      lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+    });
+    lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${family.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+    lines.push(`${family.name}_count${formatLabels(labels)} ${count}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render every registered metric
+ * @param {Object} options - { openMetrics }
+ */
+export function renderMetrics({ openMetrics = false } = {}) {
+  const body = [...families.values()].map(family => renderFamily(family, openMetrics)).join('\n');
+  return openMetrics ? `${body}\n# EOF\n` : `${body}\n`;
+}
+
+/**
+ * Drop recorded counters and histograms. Gauges track live state and are kept.
+ */
+export function resetRegistry() {
+  families.forEach(family => {
+    if (family.type !== 'gauge') family.series.clear();
+  });
+}
@@ -1,11 +1,347 @@
 /**
  * Rate Limiter Module
- * Supports: Token Bucket, Sliding Window, IP-based & User-based limiting
+ * Supports: Token Bucket, Sliding Window, IP-based, User-based & per-API-key limiting, quotas
+ * Storage: in-memory (single instance) or Redis (shared across gateway replicas)
  */
 
-// In-memory storage for rate limit data
-const tokenBuckets = {};
-const slidingWindows = {};
+import { getConfig, matchRoute } from './config.js';
+import { recordRateLimitRejection } from './logger.js';
+
+/**
+ * In-memory Rate Limit Store
+ * State lives in this process only - each replica enforces its own limit
+ */
+export function createMemoryRateLimitStore() {
+  const tokenBuckets = {};
+  const slidingWindows = {};
+  const quotas = {};
+
+  return {
+    type: 'memory',
+
+    async slidingWindow(key, limit, windowMs) {
+      return (await this.slidingWindowAll([{ key, limit }], windowMs)).results[0];
+    },
+
+    /**
+     * Check several windows; the request is recorded in all of them only
+     * if every one allows it
+     * @param {Array} windows - [{ key, limit }]
+     */
+    async slidingWindowAll(windows, windowMs) {
+      const now = Date.now();
+
+      const entries = windows.map(({ key, limit }) => {
+        if (!slidingWindows[key]) {
+          slidingWindows[key] = [];
+        }
+
+        const window = slidingWindows[key];
+
+        // Remove old requests outside the window
+        while (window.length > 0 && window[0] < now - windowMs) {
+          window.shift();
+        }
+
+        return { window, limit, count: window.length };
+      });
+
+      const allowed = entries.every(({ count, limit }) => count < limit);
+      if (allowed) {
+        entries.forEach(({ window }) => window.push(now));
+      }
+
+      return {
+        allowed,
+        results: entries.map(({ window, limit, count }) => {
+          const recorded = allowed ? count + 1 : count;
+          return {
+            allowed: count < limit,
+            count: recorded,
+            remaining: Math.max(limit - recorded, 0),
+            retryAfterMs: count >= limit ? Math.max(window[0] + windowMs - now, 0) : 0
+          };
+        })
+      };
+    },
+
+    async tokenBucket(key, capacity, refillRate) {
+      const now = Date.now();
+
+      if (!tokenBuckets[key]) {
+        tokenBuckets[key] = {
+          tokens: capacity,
+          lastRefill: now
+        };
+      }
+
+      const bucket = tokenBuckets[key];
+      const timePassed = (now - bucket.lastRefill) / 1000;
+
+      // Refill tokens based on time passed
+      bucket.tokens = Math.min(capacity, bucket.tokens + timePassed * refillRate);
+      bucket.lastRefill = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens--;
+        return { allowed: true, tokens: bucket.tokens, retryAfterMs: 0 };
+      }
+
+      return {
+        allowed: false,
+        tokens: bucket.tokens,
+        retryAfterMs: Math.ceil((1 - bucket.tokens) / refillRate * 1000)
+      };
+    },
+
+    /**
+     * Fixed-period counter (e.g. a monthly quota) that resets at `resetAt`
+     */
+    async quota(key, limit, resetAt) {
+      if (!quotas[key] || quotas[key].resetAt <= Date.now()) {
+        quotas[key] = { used: 0, resetAt };
+      }
+
+      const counter = quotas[key];
+      if (counter.used >= limit) {
+        return { allowed: false, used: counter.used, remaining: 0 };
+      }
+
+      counter.used++;
+      return { allowed: true, used: counter.used, remaining: limit - counter.used };
+    },
+
+    async quotaUsage(key) {
+      const counter = quotas[key];
+      return counter && counter.resetAt > Date.now() ? counter.used : 0;
+    },
+
+    async stats() {
+      return {
+        tokenBuckets: Object.keys(tokenBuckets).length,
+        slidingWindows: Object.entries(slidingWindows).map(([key, window]) => ({
+          key,
+          activeRequests: window.length
+        }))
+      };
+    },
+
+    async reset() {
+      Object.keys(tokenBuckets).forEach(key => delete tokenBuckets[key]);
+      Object.keys(slidingWindows).forEach(key => delete slidingWindows[key]);
+      Object.keys(quotas).forEach(key => delete quotas[key]);
+    }
+  };
+}
+
+// Both scripts read the clock from Redis (TIME) so replicas with skewed
+// clocks still agree on window boundaries.
+// One or more windows (KEYS, limits in ARGV[3..]); the request is added to
+// all of them only if none is full. Returns {allowed, count1, retry1, count2, ...}
+const SLIDING_WINDOW_SCRIPT = `
+local windowMs = tonumber(ARGV[1])
+local member = ARGV[2]
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local allowed = 1
+local result = {}
+for i, key in ipairs(KEYS) do
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', '(' .. (now - windowMs))
+  local count = redis.call('ZCARD', key)
+  local retryAfter = 0
+
+  if count >= tonumber(ARGV[i + 2]) then
+    allowed = 0
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    if oldest[2] then
+      retryAfter = tonumber(oldest[2]) + windowMs - now
+    end
+  end
+
+  result[i * 2] = count
+  result[i * 2 + 1] = retryAfter
+end
+
+if allowed == 1 then
+  for i, key in ipairs(KEYS) do
+    redis.call('ZADD', key, now, now .. '-' .. member)
+    redis.call('PEXPIRE', key, windowMs)
+    result[i * 2] = result[i * 2] + 1
+  end
+end
+
+result[1] = allowed
+return result
+`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', key, 'tokens', 'lastRefill')
+local tokens = tonumber(bucket[1]) or capacity
+local lastRefill = tonumber(bucket[2]) or now
+
+tokens = math.min(capacity, tokens + (now - lastRefill) / 1000 * refillRate)
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call('HSET', key, 'tokens', tostring(tokens), 'lastRefill', now)
+redis.call('PEXPIRE', key, math.ceil(capacity / refillRate * 1000) + 1000)
+return {allowed, tostring(tokens)}
+`;
+
+const QUOTA_SCRIPT = `
+local key = KEYS[1]
+local limit = tonumber(ARGV[1])
+local used = tonumber(redis.call('GET', key) or '0')
+
+if used >= limit then
+  return {0, used}
+end
+
+used = redis.call('INCR', key)
+if used == 1 then
+  redis.call('PEXPIREAT', key, ARGV[2])
+end
+return {1, used}
+`;
+
+/**
+ * Redis Rate Limit Store
+ * Counters are shared by every gateway replica; each operation runs as a
+ * single Lua script so check-and-increment is atomic.
+ * A slow or unreachable Redis rejects after `timeoutMs` so the limiter
+ * fails open instead of holding requests.
+ * @param {Object} client - Connected node-redis client (or compatible fake)
+ * @param {Object} options - { prefix, timeoutMs }
+ */
+export function createRedisRateLimitStore(client, { prefix = 'gateway:ratelimit:', timeoutMs = 1000 } = {}) {
+  const withTimeout = (promise) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Redis did not answer within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  const evalScript = (script, keys, args) => withTimeout(client.eval(script, {
+    keys: [].concat(keys),
+    arguments: args.map(String)
+  }));
+
+  return {
+    type: 'redis',
+
+    async slidingWindow(key, limit, windowMs) {
+      return (await this.slidingWindowAll([{ key, limit }], windowMs)).results[0];
+    },
+
+    async slidingWindowAll(windows, windowMs) {
+      const member = Math.random().toString(36).slice(2);
+      const [allowed, ...counts] = await evalScript(
+        SLIDING_WINDOW_SCRIPT,
+        windows.map(({ key }) => `${prefix}sw:${key}`),
+        [windowMs, member, ...windows.map(({ limit }) => limit)]
+      );
+
+      return {
+        allowed: allowed === 1,
+        results: windows.map(({ limit }, i) => {
+          const count = counts[i * 2];
+          const retryAfterMs = counts[i * 2 + 1];
+          return {
+            allowed: allowed === 1 || count < limit,
+            count,
+            remaining: Math.max(limit - count, 0),
+            retryAfterMs: Math.max(retryAfterMs, 0)
+          };
+        })
+      };
+    },
+
+    async tokenBucket(key, capacity, refillRate) {
+      const [allowed, tokensValue] = await evalScript(
+        TOKEN_BUCKET_SCRIPT,
+        `${prefix}tb:${key}`,
+        [capacity, refillRate]
+      );
+      const tokens = parseFloat(tokensValue);
+
+      return {
+        allowed: allowed === 1,
+        tokens,
+        retryAfterMs: allowed === 1 ? 0 : Math.ceil((1 - tokens) / refillRate * 1000)
+      };
+    },
+
+    async quota(key, limit, resetAt) {
+      const [allowed, used] = await evalScript(QUOTA_SCRIPT, `${prefix}q:${key}`, [limit, resetAt]);
+      return { allowed: allowed === 1, used, remaining: Math.max(limit - used, 0) };
+    },
+
+    async quotaUsage(key) {
+      return parseInt(await withTimeout(client.get(`${prefix}q:${key}`)), 10) || 0;
+    },
+
+    async stats() {
+      let tokenBuckets = 0;
+      const slidingWindows = [];
+
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        if (key.startsWith(`${prefix}tb:`)) {
+          tokenBuckets++;
+        } else if (key.startsWith(`${prefix}sw:`)) {
+          slidingWindows.push({
+            key: key.slice(`${prefix}sw:`.length),
+            activeRequests: await client.zCard(key)
+          });
+        }
+      }
+
+      return { tokenBuckets, slidingWindows };
+    },
+
+    async reset() {
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        await client.del(key);
+      }
+    }
+  };
+}
+
+let store = createMemoryRateLimitStore();
+
+/**
+ * Replace the rate limit storage backend
+ */
+export function setRateLimitStore(newStore) {
+  store = newStore;
+  console.log(`Rate limiter using ${store.type} store`);
+}
+
+/**
+ * Get the active rate limit storage backend
+ */
+export function getRateLimitStore() {
+  return store;
+}
+
+/**
+ * Store failures must not take the gateway down - let the request through
+ */
+function failOpen(err, next) {
+  console.error('Rate limiter store error:', err.message);
+  next();
+}
 
 /**
  * Token Bucket Algorithm
@@ -16,35 +352,24 @@ export function tokenBucketLimiter(capacity = 100, refillRate = 10) {
   return (req, res, next) => {
     const key = req.ip; // Can also use req.user.userId for user-based limiting
 
-    if (!tokenBuckets[key]) {
-      tokenBuckets[key] = {
-        tokens: capacity,
-        lastRefill: Date.now()
-      };
-    }
+    store.tokenBucket(key, capacity, refillRate).then(result => {
+      if (result.allowed) {
+        res.set('X-RateLimit-Remaining', Math.floor(result.tokens));
+        return next();
+      }
 
-    const bucket = tokenBuckets[key];
-    const now = Date.now();
-    const timePassed = (now - bucket.lastRefill) / 1000;
-    
-    // Refill tokens based on time passed
-    bucket.tokens = Math.min(capacity, bucket.tokens + timePassed * refillRate);
-    bucket.lastRefill = now;
-
-    if (bucket.tokens >= 1) {
-      bucket.tokens--;
-      res.set('X-RateLimit-Remaining', Math.floor(bucket.tokens));
-      return next();
-    }
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      recordRateLimitRejection('none', 'ip');
 
-    res.set('X-RateLimit-Limit', capacity);
-    res.set('X-RateLimit-Remaining', 0);
-    res.set('Retry-After', Math.ceil((1 - bucket.tokens) / refillRate));
-    
-    return res.status(429).json({ 
-      error: 'Too many requests',
-      retryAfter: Math.ceil((1 - bucket.tokens) / refillRate)
-    });
+      res.set('X-RateLimit-Limit', capacity);
+      res.set('X-RateLimit-Remaining', 0);
+      res.set('Retry-After', retryAfter);
+
+      res.status(429).json({
+        error: 'Too many requests',
+        retryAfter
+      });
+    }).catch(err => failOpen(err, next));
   };
 }
 
@@ -56,34 +381,21 @@ export function tokenBucketLimiter(capacity = 100, refillRate = 10) {
 export function slidingWindowLimiter(limit = 60, windowMs = 60000) {
   return (req, res, next) => {
     const key = req.ip;
-    const now = Date.now();
 
-    if (!slidingWindows[key]) {
-      slidingWindows[key] = [];
-    }
-
-    const window = slidingWindows[key];
-    
-    // Remove old requests outside the window
-    while (window.length > 0 && window[0] < now - windowMs) {
-      window.shift();
-    }
-
-    if (window.length >= limit) {
+    store.slidingWindow(key, limit, windowMs).then(result => {
       res.set('X-RateLimit-Limit', limit);
-      res.set('X-RateLimit-Remaining', 0);
-      
-      return res.status(429).json({ 
-        error: 'Too many requests',
-        windowMs
-      });
-    }
+      res.set('X-RateLimit-Remaining', result.remaining);
 
-    window.push(now);
-    res.set('X-RateLimit-Limit', limit);
-    res.set('X-RateLimit-Remaining', limit - window.length);
-    
-    next();
+      if (!result.allowed) {
+        recordRateLimitRejection('none', 'ip');
+        return res.status(429).json({
+          error: 'Too many requests',
+          windowMs
+        });
+      }
+
+      next();
+    }).catch(err => failOpen(err, next));
   };
 }
 
@@ -97,32 +409,22 @@ export function userBasedLimiter(limit = 100, windowMs = 60000) {
     }
 
     const key = `user:${req.user.userId}`;
-    const now = Date.now();
-
-    if (!slidingWindows[key]) {
-      slidingWindows[key] = [];
-    }
 
-    const window = slidingWindows[key];
-    
-    // Remove old requests outside the window
-    while (window.length > 0 && window[0] < now - windowMs) {
-      window.shift();
-    }
+    store.slidingWindow(key, limit, windowMs).then(result => {
+      if (!result.allowed) {
+        recordRateLimitRejection('none', 'user');
+        return res.status(429).json({
+          error: 'User rate limit exceeded',
+          limit,
+          windowMs
+        });
+      }
 
-    if (window.length >= limit) {
-      return res.status(429).json({ 
-        error: 'User rate limit exceeded',
-        limit,
-        windowMs
-      });
-    }
+      res.set('X-RateLimit-Limit', limit);
+      res.set('X-RateLimit-Remaining', result.remaining);
 
-    window.push(now);
-    res.set('X-RateLimit-Limit', limit);
-    res.set('X-RateLimit-Remaining', limit - window.length);
-    
-    next();
+      next();
+    }).catch(err => failOpen(err, next));
   };
 }
 
@@ -131,67 +433,222 @@ export function userBasedLimiter(limit = 100, windowMs = 60000) {
  */
 export function rateLimiter(ipLimit = 100, userLimit = 200, windowMs = 60000) {
   return (req, res, next) => {
-    const now = Date.now();
+    applyLimits(req, res, { ip: ipLimit, user: userLimit, windowMs }, null)
+      .then(allowed => allowed && next())
+      .catch(err => failOpen(err, next));
+  };
+}
 
-    // IP-based limiting
-    const ipKey = `ip:${req.ip}`;
-    if (!slidingWindows[ipKey]) {
-      slidingWindows[ipKey] = [];
-    }
+/**
+ * Rate limiter driven by the route configuration.
+ * Each route is limited separately using its `rateLimit` policy;
+ * requests that match no route use the configured defaults.
+ * Applies the IP window; mount it before authentication.
+ */
+export function routeRateLimiter() {
+  return routeLimiter(applyIpLimit);
+}
 
-    let ipWindow = slidingWindows[ipKey];
-    while (ipWindow.length > 0 && ipWindow[0] < now - windowMs) {
-      ipWindow.shift();
-    }
+/**
+ * User window of the route's `rateLimit` policy. Mount it after
+ * authentication, once `req.user` is known; anonymous requests pass.
+ */
+export function routeUserRateLimiter() {
+  return routeLimiter(applyUserLimit);
+}
+
+function routeLimiter(apply) {
+  return (req, res, next) => {
+    const route = matchRoute(req.path);
+    const policy = route ? route.rateLimit : getConfig().defaults.rateLimit;
 
-    if (ipWindow.length >= ipLimit) {
-      return res.status(429).json({ error: 'IP rate limit exceeded' });
+    if (!policy) {
+      return next();
     }
 
-    // User-based limiting (if authenticated)
-    if (req.user && req.user.userId) {
-      const userKey = `user:${req.user.userId}`;
-      if (!slidingWindows[userKey]) {
-        slidingWindows[userKey] = [];
-      }
+    apply(req, res, policy, route ? route.path : null)
+      .then(allowed => allowed && next())
+      .catch(err => {
+        req.rateLimit = { decision: 'store-error' };
+        failOpen(err, next);
+      });
+  };
+}
 
-      let userWindow = slidingWindows[userKey];
-      while (userWindow.length > 0 && userWindow[0] < now - windowMs) {
-        userWindow.shift();
-      }
+/**
+ * Apply the IP sliding window of a route policy
+ * @returns {Promise<boolean>} false when the request was rejected
+ */
+async function applyIpLimit(req, res, { ip, windowMs }, routePath) {
+  const scope = routePath ? `${routePath}:` : '';
+  const result = await store.slidingWindow(`ip:${scope}${req.ip}`, ip, windowMs);
 
-      if (userWindow.length >= userLimit) {
-        return res.status(429).json({ error: 'User rate limit exceeded' });
+  if (!result.allowed) {
+    req.rateLimit = { decision: 'rejected', limit: 'ip' };
+    recordRateLimitRejection(routePath || 'none', 'ip');
+    res.status(429).json({ error: 'IP rate limit exceeded' });
+    return false;
+  }
+
+  res.set('X-RateLimit-Limit', ip);
+  res.set('X-RateLimit-Remaining', result.remaining);
+  req.rateLimit = { decision: 'allowed', remaining: result.remaining };
+
+  return true;
+}
+
+/**
+ * Apply the user sliding window of a route policy (authenticated requests only)
+ * @returns {Promise<boolean>} false when the request was rejected
+ */
+async function applyUserLimit(req, res, { user, windowMs }, routePath) {
+  if (!req.user || !req.user.userId) {
+    return true;
+  }
+
+  const scope = routePath ? `${routePath}:` : '';
+  const result = await store.slidingWindow(`user:${scope}${req.user.userId}`, user, windowMs);
+
+  if (!result.allowed) {
+    req.rateLimit = { decision: 'rejected', limit: 'user' };
+    recordRateLimitRejection(routePath || 'none', 'user');
+    res.status(429).json({ error: 'User rate limit exceeded' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Apply IP + user sliding window limits
+ * @param {string|null} routePath - Route the counters are scoped to (null for global limits)
+ * @returns {Promise<boolean>} false when the request was rejected
+ */
+async function applyLimits(req, res, { ip, user, windowMs }, routePath) {
+  const scope = routePath ? `${routePath}:` : '';
+
+  // IP-based limiting, plus user-based if authenticated. The request counts
+  // against either window only when both allow it.
+  const windows = [{ key: `ip:${scope}${req.ip}`, limit: ip }];
+  if (req.user && req.user.userId) {
+    windows.push({ key: `user:${scope}${req.user.userId}`, limit: user });
+  }
+
+  const { allowed, results: [ipResult] } = await store.slidingWindowAll(windows, windowMs);
+
+  if (!ipResult.allowed) {
+    req.rateLimit = { decision: 'rejected', limit: 'ip' };
+    recordRateLimitRejection(routePath || 'none', 'ip');
+    res.status(429).json({ error: 'IP rate limit exceeded' });
+    return false;
+  }
+
+  if (!allowed) {
+    req.rateLimit = { decision: 'rejected', limit: 'user' };
+    recordRateLimitRejection(routePath || 'none', 'user');
+    res.status(429).json({ error: 'User rate limit exceeded' });
+    return false;
+  }
+
+  res.set('X-RateLimit-Limit', ip);
+  res.set('X-RateLimit-Remaining', ipResult.remaining);
+  req.rateLimit = { decision: 'allowed', remaining: ipResult.remaining };
+
+  return true;
+}
+
+/**
+ * Start of the next calendar month (UTC), when monthly quotas reset
+ */
+function nextMonthStart(now = new Date()) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+const quotaKey = (apiKeyId, now = new Date()) => `apikey:${apiKeyId}:${now.toISOString().slice(0, 7)}`;
+
+/**
+ * Per-API-key rate limit and monthly quota (managed keys, see apiKeys.js)
+ * @param {Object} apiKey - { id, rateLimit: { requests, windowMs } | null, monthlyQuota | null }
+ * @returns {Promise<boolean>} false when the request was rejected
+ */
+export async function applyApiKeyLimits(req, res, { id, rateLimit, monthlyQuota }) {
+  const routePath = req.gatewayRoute ? req.gatewayRoute.path : (matchRoute(req.path) || {}).path || 'none';
+
+  try {
+    if (rateLimit) {
+      const result = await store.slidingWindow(`apikey:${id}`, rateLimit.requests, rateLimit.windowMs);
+
+      if (!result.allowed) {
+        req.rateLimit = { decision: 'rejected', limit: 'apiKey' };
+        recordRateLimitRejection(routePath, 'apiKey');
+        res.set('X-RateLimit-Limit', rateLimit.requests);
+        res.set('X-RateLimit-Remaining', 0);
+        res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+        res.status(429).json({ error: 'API key rate limit exceeded' });
+        return false;
       }
 
-      userWindow.push(now);
+      res.set('X-RateLimit-Limit', rateLimit.requests);
+      res.set('X-RateLimit-Remaining', result.remaining);
+      req.rateLimit = { decision: 'allowed', remaining: result.remaining };
     }
 
-    ipWindow.push(now);
-    res.set('X-RateLimit-Limit', ipLimit);
-    res.set('X-RateLimit-Remaining', ipLimit - ipWindow.length);
-    
-    next();
-  };
+    if (monthlyQuota) {
+      const resetAt = nextMonthStart();
+      const result = await store.quota(quotaKey(id), monthlyQuota, resetAt);
+
+      res.set('X-Quota-Limit', monthlyQuota);
+      res.set('X-Quota-Remaining', result.remaining);
+      res.set('X-Quota-Reset', Math.ceil(resetAt / 1000));
+
+      if (!result.allowed) {
+        req.rateLimit = { decision: 'rejected', limit: 'quota' };
+        recordRateLimitRejection(routePath, 'quota');
+        res.set('Retry-After', Math.ceil((resetAt - Date.now()) / 1000));
+        res.status(429).json({ error: 'API key monthly quota exceeded' });
+        return false;
+      }
+    }
+  } catch (err) {
+    console.error('Rate limiter store error:', err.message);
+    req.rateLimit = { decision: 'store-error' };
+  }
+
+  return true;
+}
+
+/**
+ * Requests counted against an API key's quota this month
+ */
+export async function getApiKeyQuotaUsage(apiKeyId) {
+  return store.quotaUsage(quotaKey(apiKeyId));
 }
 
 /**
  * Get rate limit statistics
  */
-export function getRateLimiterStats() {
+export async function getRateLimiterStats() {
   return {
-    tokenBuckets: Object.keys(tokenBuckets).length,
-    slidingWindows: Object.entries(slidingWindows).map(([key, window]) => ({
-      key,
-      activeRequests: window.length
-    }))
+    store: store.type,
+    ...(await store.stats())
   };
 }
 
+/**
+ * Keys with the most requests in their current window
+ * @param {number} count - How many keys to return
+ */
+export async function getRateLimitHotKeys(count = 10) {
+  const { slidingWindows } = await store.stats();
+
+  return slidingWindows
+    .sort((a, b) => b.activeRequests - a.activeRequests)
+    .slice(0, count);
+}
+
 /**
  * Reset rate limiter (for testing)
  */
-export function resetRateLimiter() {
-  Object.keys(tokenBuckets).forEach(key => delete tokenBuckets[key]);
-  Object.keys(slidingWindows).forEach(key => delete slidingWindows[key]);
+export async function resetRateLimiter() {
+  await store.reset();
 }
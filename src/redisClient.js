@@ -0,0 +1,47 @@
+/**
+ * Redis Client Module
+ * Shared Redis connection for the distributed stores (rate limiter, cache, ...)
+ */
+
+import { createClient } from 'redis';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+let client = null;
+let connecting = null;
+
+/**
+ * Get the shared Redis client, connecting on first use
+ */
+export async function getRedisClient() {
+  if (client) return client;
+
+  if (!connecting) {
+    // Without the offline queue, commands fail right away while Redis is
+    // down (so stores can fail open) instead of waiting for a reconnect
+    const newClient = createClient({ url: REDIS_URL, disableOfflineQueue: true });
+
+    newClient.on('error', (err) => {
+      console.error('Redis error:', err.message);
+    });
+
+    connecting = newClient.connect().then(() => {
+      client = newClient;
+      console.log(`Connected to Redis at ${REDIS_URL}`);
+      return client;
+    });
+  }
+
+  return connecting;
+}
+
+/**
+ * Close the shared Redis client (on shutdown)
+ */
+export async function closeRedisClient() {
+  if (!client) return;
+
+  await client.quit();
+  client = null;
+  connecting = null;
+}
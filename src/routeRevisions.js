@@ -0,0 +1,216 @@
+/**
+ * Route Revisions Module
+ * Persists every routing table change as a numbered revision
+ * Supports: revision history, diffs between revisions, rollback
+ * Storage: JSON file (default) or Redis
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { exportRoutes, replaceRoutes, getConfigVersion } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE_PATH = process.env.ROUTE_STORE_PATH || path.join(__dirname, '../data/route-revisions.json');
+
+/**
+ * File Revision Store
+ * All revisions in one JSON file, rewritten atomically on every change.
+ * Appends run one at a time so revision numbers stay unique.
+ */
+export function createFileRevisionStore(filePath = DEFAULT_FILE_PATH) {
+  let revisions = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (revisions) return revisions;
+
+    try {
+      revisions = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      revisions = [];
+    }
+    return revisions;
+  }
+
+  async function write(revision) {
+    const all = await load();
+    const entry = { ...revision, revision: all.length > 0 ? all[all.length - 1].revision + 1 : 1 };
+
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.promises.writeFile(tmpPath, JSON.stringify([...all, entry], null, 2));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw err;
+    }
+
+    all.push(entry);
+    return entry;
+  }
+
+  return {
+    type: 'file',
+
+    append(revision) {
+      const result = writing.then(() => write(revision));
+      writing = result.catch(() => {});
+      return result;
+    },
+
+    async list() {
+      return [...(await load())];
+    }
+  };
+}
+
+/**
+ * Redis Revision Store
+ * Shared by every gateway replica
+ * @param {Object} client - Connected node-redis client (or compatible fake)
+ * @param {Object} options - { prefix }
+ */
+export function createRedisRevisionStore(client, { prefix = 'gateway:routes:' } = {}) {
+  return {
+    type: 'redis',
+
+    async append(revision) {
+      const number = await client.incr(`${prefix}revision`);
+      const entry = { ...revision, revision: number };
+      await client.rPush(`${prefix}revisions`, JSON.stringify(entry));
+      return entry;
+    },
+
+    async list() {
+      const entries = await client.lRange(`${prefix}revisions`, 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+  };
+}
+
+let store = createFileRevisionStore();
+
+/**
+ * Replace the revision storage backend
+ */
+export function setRevisionStore(newStore) {
+  store = newStore;
+  console.log(`Route revisions using ${store.type} store`);
+}
+
+/**
+ * Restore the routing table from the latest revision at startup.
+ * Persisted admin changes win unless the config file itself was edited
+ * since that revision, in which case the file wins and becomes a revision.
+ */
+export async function initRouteRevisions() {
+  const revisions = await store.list();
+  const latest = revisions[revisions.length - 1];
+  const { fileChecksum } = getConfigVersion();
+
+  if (latest && latest.fileChecksum === fileChecksum) {
+    replaceRoutes(latest.routes, 'revision');
+    console.log(`Restored routing table from revision ${latest.revision}`);
+    return latest;
+  }
+
+  return recordRevision({
+    author: 'file',
+    action: latest ? 'file-changed' : 'initial'
+  });
+}
+
+/**
+ * Snapshot the active routing table as a new revision. When the change was
+ * already applied, pass the routes from before it as `previousRoutes`: if the
+ * revision cannot be stored they are restored, so the live table never
+ * differs from the latest revision.
+ * @param {Object} details - { author, action, path, rolledBackTo, previousRoutes }
+ */
+export async function recordRevision({ author, action, path: routePath = null, rolledBackTo, previousRoutes }) {
+  try {
+    return await store.append({
+      author,
+      action,
+      path: routePath,
+      ...(rolledBackTo !== undefined && { rolledBackTo }),
+      timestamp: new Date(),
+      fileChecksum: getConfigVersion().fileChecksum,
+      routes: exportRoutes()
+    });
+  } catch (err) {
+    if (previousRoutes) {
+      replaceRoutes(previousRoutes, 'revert');
+      console.error(`Could not store route revision (${err.message}); change reverted`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * List revisions (without the route snapshots)
+ */
+export async function listRevisions() {
+  const revisions = await store.list();
+  return revisions.map(({ routes, ...summary }) => ({
+    ...summary,
+    routeCount: Object.keys(routes).length
+  }));
+}
+
+/**
+ * Get a single revision including its routing table
+ */
+export async function getRevision(number) {
+  const revisions = await store.list();
+  return revisions.find(revision => revision.revision === number) || null;
+}
+
+/**
+ * Compare the routing tables of two revisions
+ * @returns {Object|null} null when either revision does not exist
+ */
+export async function diffRevisions(from, to) {
+  const [before, after] = await Promise.all([getRevision(from), getRevision(to)]);
+  if (!before || !after) return null;
+
+  const diff = { from, to, added: {}, removed: {}, changed: {} };
+
+  Object.entries(after.routes).forEach(([routePath, definition]) => {
+    if (!(routePath in before.routes)) {
+      diff.added[routePath] = definition;
+    } else if (JSON.stringify(before.routes[routePath]) !== JSON.stringify(definition)) {
+      diff.changed[routePath] = { before: before.routes[routePath], after: definition };
+    }
+  });
+
+  Object.entries(before.routes).forEach(([routePath, definition]) => {
+    if (!(routePath in after.routes)) {
+      diff.removed[routePath] = definition;
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Make an earlier revision's routing table active again.
+ * The rollback itself is recorded as a new revision.
+ * @returns {Object|null} the new revision, or null when the target does not exist
+ */
+export async function rollbackToRevision(number, author) {
+  const target = await getRevision(number);
+  if (!target) return null;
+
+  const previousRoutes = exportRoutes();
+  replaceRoutes(target.routes, 'rollback');
+  console.log(`Routing table rolled back to revision ${number} by ${author}`);
+
+  return recordRevision({ author, action: 'rollback', rolledBackTo: number, previousRoutes });
+}
@@ -4,41 +4,45 @@
  */
 
 import httpProxy from 'http-proxy';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { getNextTargetRoundRobin, incrementConnections, decrementConnections } from './loadBalancer.js';
-import { getHealthyServices } from './healthChecker.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const routesPath = path.join(__dirname, '../config/routes.json');
-let routes = JSON.parse(fs.readFileSync(routesPath, 'utf-8'));
+import { selectTarget, incrementConnections, decrementConnections } from './loadBalancer.js';
+import { getHealthyServices, recordUpstreamResult } from './healthChecker.js';
+import { onRequestStart, onRequestCancelled, recordOutcome } from './circuitBreaker.js';
+import { matchRoute, getRoutes, setRoute, deleteRoute } from './config.js';
+import { recordRetry, recordUpstreamAttempt } from './logger.js';
+import { startSpan, endSpan, getTraceparent, SPAN_KIND } from './tracing.js';
+import { getUpstreamTlsSettings, getUpstreamAgent } from './upstreamTls.js';
 
 const proxy = httpProxy.createProxyServer({
   changeOrigin: true,
   timeout: 10000
 });
 
-// Track active proxies
+// Connection-specific response headers, not allowed in HTTP/2 responses
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+// Track active proxies (request -> in-flight attempt)
 const activeProxies = new Map();
 
 /**
  * Main routing function
  */
 export function routeRequest(req, res) {
+  // Only the gateway says which upstream a request went to (see forward)
+  delete req.headers['x-forwarded-to'];
+
   // Find matching route
-  const matchedPath = Object.keys(routes).find(r => req.url.startsWith(r));
+  const route = matchRoute(req.path);
 
-  if (!matchedPath) {
+  if (!route) {
     return res.status(404).json({ 
       error: 'Route not found',
       path: req.url,
-      availableRoutes: Object.keys(routes)
+      availableRoutes: getRoutes().map(r => r.path)
     });
   }
 
-  let services = routes[matchedPath];
+  const matchedPath = route.path;
+  const services = route.upstreams.map(upstream => upstream.url);
 
   // Filter to only healthy services
   const healthyServices = getHealthyServices(matchedPath, services);
@@ -52,15 +56,8 @@ export function routeRequest(req, res) {
     });
   }
 
-  // Select target using load balancer
-  const target = getNextTargetRoundRobin(matchedPath, healthyServices);
-
-  // Track connection
-  incrementConnections(matchedPath, target);
-
   // Set headers for downstream service
   req.headers['x-forwarded-by'] = 'api-gateway';
-  req.headers['x-forwarded-to'] = target;
   req.headers['x-original-url'] = req.originalUrl;
 
   // Inject user info if authenticated
@@ -69,25 +66,264 @@ export function routeRequest(req, res) {
     req.headers['x-user-role'] = req.user.role || 'unknown';
   }
 
+  // Apply configured request header rewrites
+  rewriteHeaders(req.headers, route.headers.request);
+  req.gatewayRoute = route;
+
+  forward(req, res, route, { attempt: 1, tried: new Set() });
+}
+
+/**
+ * Proxy one attempt to an upstream. On a retryable failure the request is
+ * retried after a backoff, preferring a healthy upstream not tried yet.
+ */
+function forward(req, res, route, state) {
+  const services = route.upstreams.map(upstream => upstream.url);
+  const healthyServices = getHealthyServices(route.path, services);
+  const { retry } = route;
+
+  if (healthyServices.length === 0) {
+    return sendBadGateway(res, state, new Error('No healthy backend services available'), null);
+  }
+
+  // Select target using the route's load balancing strategy
+  const untried = healthyServices.filter(service => !state.tried.has(service));
+  const target = selectTarget(route.path, untried.length > 0 ? untried : healthyServices, {
+    strategy: route.strategy,
+    weights: Object.fromEntries(route.upstreams.map(upstream => [upstream.url, upstream.weight])),
+    hashKey: route.strategy === 'consistent-hash' ? getHashKey(req, route.hashKey) : undefined,
+    allServices: services
+  });
+  state.tried.add(target);
+
+  // https:// upstreams with their own CA, client certificate or SNI name
+  let agent;
+  try {
+    agent = getUpstreamAgent(target, getUpstreamTlsSettings(route, target));
+  } catch (err) {
+    console.error(`Unusable TLS settings for ${target}:`, err.message);
+    return sendBadGateway(res, state, err, target);
+  }
+
+  // Track connection
+  incrementConnections(route.path, target);
+  onRequestStart(target);
+  req.headers['x-forwarded-to'] = target;
+  req.gatewayUpstream = target;
+
+  // Each attempt is its own client span; the backend continues the trace from it
+  const span = startSpan(req, `proxy ${route.path}`, {
+    kind: SPAN_KIND.CLIENT,
+    attributes: {
+      'http.request.method': req.method,
+      'server.address': target,
+      'gateway.attempt': state.attempt
+    }
+  });
+  req.headers.traceparent = getTraceparent(span);
+
+  const startedAt = Date.now();
+  const canRetry = state.attempt < retry.attempts && isReplayable(req, retry);
+  // Status-based retries need to see the response before it is streamed
+  const selfHandleResponse = canRetry && retry.retryOn.some(code => typeof code === 'number');
+
+  // Feed the upstream's circuit breaker and outlier detection exactly once per attempt
+  let outcomeRecorded = false;
+  const recordResult = (status) => {
+    // A proxy error can follow the response (e.g. the upstream resets mid-body)
+    if (outcomeRecorded) return;
+
+    const latencyMs = Date.now() - startedAt;
+    const success = status !== null && status < 500;
+    outcomeRecorded = true;
+    recordOutcome(target, { success, latencyMs });
+    recordUpstreamResult(target, { success, latencyMs: status !== null ? latencyMs : null });
+    recordUpstreamAttempt(route.path, target, status, latencyMs);
+    endSpan(span, {
+      attributes: status !== null ? { 'http.response.status_code': status } : {},
+      error: success ? null : (status !== null ? `HTTP ${status}` : 'no response')
+    });
+  };
+
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    decrementConnections(route.path, target);
+    activeProxies.delete(req);
+
+    if (!outcomeRecorded) {
+      onRequestCancelled(target);
+      endSpan(span, { error: 'cancelled' });
+    }
+  };
+
+  const retryOr = (reason, fail) => {
+    finish();
+
+    if (!canRetry || res.headersSent || !retry.retryOn.includes(reason)) {
+      return fail();
+    }
+
+    recordRetry(route.path, target, reason);
+    const delay = getBackoffDelay(retry, state.attempt);
+    state.attempt++;
+
+    console.warn(`Retrying ${req.method} ${req.originalUrl} (attempt ${state.attempt}/${retry.attempts}) after ${reason} from ${target}`);
+    setTimeout(() => forward(req, res, route, state), delay);
+  };
+
+  activeProxies.set(req, {
+    target,
+    onResponse(proxyRes) {
+      recordResult(proxyRes.statusCode);
+
+      if (selfHandleResponse && retry.retryOn.includes(proxyRes.statusCode)) {
+        // Discard this response and try again
+        proxyRes.resume();
+        return retryOr(proxyRes.statusCode, () => writeProxyResponse(res, proxyRes));
+      }
+
+      if (state.attempt > 1) {
+        res.setHeader('X-Gateway-Retries', state.attempt - 1);
+      }
+
+      if (selfHandleResponse) {
+        writeProxyResponse(res, proxyRes);
+      }
+      proxyRes.on('end', finish);
+    }
+  });
+
+  res.once('close', finish);
+
   // Proxy the request
-  proxy.web(req, res, { target }, (err) => {
-    decrementConnections(matchedPath, target);
+  proxy.web(req, res, {
+    target,
+    agent,
+    // Client socket must outlive every attempt plus backoff
+    timeout: route.timeout * retry.attempts + retry.backoff.maxMs * (retry.attempts - 1),
+    proxyTimeout: route.timeout,
+    selfHandleResponse
+  }, (err) => {
+    const timedOut = Date.now() - startedAt >= route.timeout;
+    const reason = timedOut ? 'timeout' : (err.code || 'error');
 
     console.error(`Proxy error for ${target}:`, err.message);
 
-    res.status(502).json({ 
-      error: 'Bad gateway',
-      message: err.message,
-      service: target
-    });
+    if (!outcomeRecorded) {
+      span.attributes['error.type'] = reason;
+    }
+    recordResult(null);
+    retryOr(reason, () => sendBadGateway(res, state, err, target));
+  });
+}
+
+/**
+ * A request can only be replayed if its method is allowed to retry and its
+ * body (if any) was buffered by the JSON parser rather than streamed
+ */
+function isReplayable(req, retry) {
+  if (!retry.methods.includes(req.method)) return false;
+
+  const hasBody = req.headers['transfer-encoding'] !== undefined ||
+    parseInt(req.headers['content-length'] || '0', 10) > 0;
+
+  return !hasBody || req._body === true;
+}
+
+/**
+ * Exponential backoff, optionally with full jitter
+ */
+function getBackoffDelay(retry, attempt) {
+  const delay = Math.min(retry.backoff.maxMs, retry.backoff.baseMs * 2 ** (attempt - 1));
+  return retry.jitter ? Math.floor(Math.random() * delay) : delay;
+}
+
+/**
+ * Copy a self-handled upstream response to the client
+ */
+function writeProxyResponse(res, proxyRes) {
+  res.statusCode = proxyRes.statusCode;
+  if (proxyRes.statusMessage) {
+    res.statusMessage = proxyRes.statusMessage;
+  }
+
+  Object.entries(proxyRes.headers).forEach(([name, value]) => {
+    if (name !== 'connection') {
+      res.setHeader(name, value);
+    }
+  });
+
+  proxyRes.pipe(res);
+}
+
+/**
+ * Final failure after all attempts
+ */
+function sendBadGateway(res, state, err, target) {
+  if (res.headersSent) return;
+
+  if (state.attempt > 1) {
+    res.setHeader('X-Gateway-Retries', state.attempt - 1);
+  }
+
+  res.status(502).json({ 
+    error: 'Bad gateway',
+    message: err.message,
+    service: target,
+    attempts: state.attempt
   });
+}
+
+/**
+ * Key for consistent hashing; falls back to the client IP when the
+ * configured user/header/cookie is missing
+ */
+function getHashKey(req, { source, name }) {
+  let key;
+
+  if (source === 'user') {
+    key = req.user && req.user.userId;
+  } else if (source === 'header') {
+    key = req.headers[name];
+  } else if (source === 'cookie') {
+    const cookie = (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .find(([cookieName]) => cookieName === name);
+    key = cookie && cookie.slice(1).join('=');
+  }
+
+  return key ? `${source}:${key}` : `ip:${req.ip}`;
+}
 
-  // Handle response end to track connection
-  res.on('finish', () => {
-    decrementConnections(matchedPath, target);
+/**
+ * Apply a { set, remove } header rewrite to a headers object
+ */
+function rewriteHeaders(headers, rewrite) {
+  rewrite.remove.forEach(name => {
+    delete headers[name];
+  });
+  Object.entries(rewrite.set).forEach(([name, value]) => {
+    headers[name] = value;
   });
 }
 
+/**
+ * Re-send bodies already consumed by express.json() - the raw stream is
+ * gone, and retries need to send the body again anyway
+ */
+proxy.on('proxyReq', (proxyReq, req) => {
+  if (req._body === true && req.body !== undefined) {
+    const body = JSON.stringify(req.body);
+    proxyReq.setHeader('content-type', 'application/json');
+    proxyReq.removeHeader('transfer-encoding');
+    proxyReq.setHeader('content-length', Buffer.byteLength(body));
+    proxyReq.write(body);
+  }
+});
+
 /**
  * Proxy error handler
  */
@@ -108,32 +344,64 @@ proxy.on('error', (err, req, res) => {
 proxy.on('proxyRes', (proxyRes, req, res) => {
   // Add gateway headers
   proxyRes.headers['x-gateway'] = 'true';
-  proxyRes.headers['x-forwarded-from'] = req.headers['x-forwarded-to'] || 'unknown';
+  proxyRes.headers['x-forwarded-from'] = req.gatewayUpstream || 'unknown';
+
+  if (req.gatewayRoute) {
+    rewriteHeaders(proxyRes.headers, req.gatewayRoute.headers.response);
+  }
+
+  // HTTP/2 clients (TLS listener) have no connection headers or status text
+  if (req.httpVersionMajor === 2) {
+    HOP_BY_HOP_HEADERS.forEach(name => delete proxyRes.headers[name]);
+    proxyRes.statusMessage = '';
+  }
+
+  const pending = activeProxies.get(req);
+  if (pending) {
+    pending.onResponse(proxyRes);
+  }
 });
 
 /**
  * Get routing table
  */
 export function getRoutingTable() {
-  return Object.entries(routes).map(([path, services]) => ({
-    path,
-    services,
-    serviceCount: services.length
+  return getRoutes().map(route => ({
+    path: route.path,
+    services: route.upstreams.map(upstream => upstream.url),
+    serviceCount: route.upstreams.length,
+    upstreams: route.upstreams,
+    strategy: route.strategy,
+    timeout: route.timeout,
+    retry: route.retry,
+    circuitBreaker: route.circuitBreaker,
+    outlierDetection: route.outlierDetection,
+    healthCheck: route.healthCheck,
+    tls: route.tls,
+    cache: route.cache,
+    rateLimit: route.rateLimit,
+    auth: route.auth,
+    headers: route.headers
   }));
 }
 
 /**
  * Dynamically add or update a route
+ * @param {string} path - Route path
+ * @param {string[]|Object} definition - Upstream URLs or a full route definition
+ * @throws {ConfigValidationError} when the definition is invalid
  */
-export function updateRoute(path, services) {
-  routes[path] = services;
-  console.log(`Route updated: ${path} -> ${services.join(', ')}`);
+export function updateRoute(path, definition) {
+  const route = setRoute(path, definition);
+  console.log(`Route updated: ${path} -> ${route.upstreams.map(u => u.url).join(', ')}`);
+  return route;
 }
 
 /**
  * Remove a route
  */
 export function removeRoute(path) {
-  delete routes[path];
+  const removed = deleteRoute(path);
   console.log(`Route removed: ${path}`);
+  return removed;
 }
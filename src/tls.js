@@ -0,0 +1,426 @@
+/**
+ * TLS Listener Module
+ * Optional HTTPS / HTTP/2 listener (TLS_PORT) next to the plain HTTP one:
+ * per-hostname certificates (SNI), client certificate verification (mTLS)
+ * and reload of certificate files when they change on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import tls from 'tls';
+import https from 'https';
+import http2 from 'http2';
+import crypto from 'crypto';
+import express from 'express';
+
+export const TLS_PORT = process.env.TLS_PORT ? parseInt(process.env.TLS_PORT, 10) : null;
+const TLS_HOST = process.env.TLS_HOST || '0.0.0.0';
+const CERT_PATH = process.env.TLS_CERT || null;
+const KEY_PATH = process.env.TLS_KEY || null;
+const CA_PATH = process.env.TLS_CA || null;
+const SNI_CONFIG_PATH = process.env.TLS_SNI_CONFIG || null;
+const CLIENT_AUTH = process.env.TLS_CLIENT_AUTH || (CA_PATH ? 'optional' : 'none');
+const HTTP2_ENABLED = process.env.TLS_HTTP2 !== 'false';
+const MIN_VERSION = process.env.TLS_MIN_VERSION || 'TLSv1.2';
+
+const CLIENT_AUTH_MODES = ['none', 'optional', 'require'];
+const TLS_VERSIONS = ['TLSv1.2', 'TLSv1.3'];
+
+// Certificate identity -> gateway role (TLS_CLIENT_ROLES=orders-service=admin,...).
+// Entries that are not identity=role pairs are refused when the listener starts.
+const CLIENT_ROLE_ENTRIES = (process.env.TLS_CLIENT_ROLES || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.lastIndexOf('=');
+    return separator === -1
+      ? { entry, identity: '', role: '' }
+      : { entry, identity: entry.slice(0, separator).trim(), role: entry.slice(separator + 1).trim() };
+  });
+const CLIENT_ROLES = new Map(CLIENT_ROLE_ENTRIES
+  .filter(({ identity, role }) => identity && role)
+  .map(({ identity, role }) => [identity, role]));
+const CLIENT_DEFAULT_ROLE = process.env.TLS_CLIENT_DEFAULT_ROLE || 'user';
+
+/**
+ * Invalid TLS settings or unreadable certificate files
+ */
+export class TlsConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid TLS configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'TlsConfigError';
+    this.errors = errors;
+  }
+}
+
+let server = null;
+let material = null;
+let watchers = [];
+let lastReload = null;
+
+export function isTlsEnabled() {
+  return TLS_PORT !== null;
+}
+
+function readFile(filePath, what, errors) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (err) {
+    errors.push(`${what}: cannot read ${filePath} (${err.code || err.message})`);
+    return null;
+  }
+}
+
+/**
+ * Summary of a PEM certificate (first one in a chain)
+ */
+function describeCertificate(pem) {
+  const cert = new crypto.X509Certificate(pem);
+  return {
+    subject: cert.subject.replace(/\n/g, ', '),
+    issuer: cert.issuer.replace(/\n/g, ', '),
+    subjectAltName: cert.subjectAltName || null,
+    serialNumber: cert.serialNumber,
+    fingerprint256: cert.fingerprint256,
+    validFrom: new Date(cert.validFrom).toISOString(),
+    validTo: new Date(cert.validTo).toISOString(),
+    daysRemaining: Math.floor((new Date(cert.validTo).getTime() - Date.now()) / 86400000)
+  };
+}
+
+/**
+ * Read a cert/key pair into a secure context (the client CA goes into every
+ * context: it is the one selected by SNI that verifies client certificates)
+ */
+function createContext({ cert, key }, ca, where, errors) {
+  const certPem = readFile(cert, `${where}.cert`, errors);
+  const keyPem = readFile(key, `${where}.key`, errors);
+  if (!certPem || !keyPem) return null;
+
+  try {
+    return {
+      context: tls.createSecureContext({ cert: certPem, key: keyPem, ca: ca || undefined, minVersion: MIN_VERSION }),
+      options: { cert: certPem, key: keyPem, ca: ca || undefined },
+      certificate: describeCertificate(certPem),
+      files: [cert, key]
+    };
+  } catch (err) {
+    errors.push(`${where}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * SNI certificates: { "certificates": [{ "hostnames": [...], "cert": "...", "key": "..." }] }
+ * Relative paths are resolved against the file's directory
+ */
+function loadSniCertificates(ca, errors) {
+  const raw = readFile(SNI_CONFIG_PATH, 'TLS_SNI_CONFIG', errors);
+  if (!raw) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(raw).certificates;
+  } catch (err) {
+    errors.push(`TLS_SNI_CONFIG: invalid JSON (${err.message})`);
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    errors.push('TLS_SNI_CONFIG: "certificates" must be an array');
+    return [];
+  }
+
+  const baseDir = path.dirname(SNI_CONFIG_PATH);
+  return entries.map((entry, index) => {
+    const where = `certificates[${index}]`;
+    const hostnames = entry && entry.hostnames;
+    if (!Array.isArray(hostnames) || hostnames.length === 0 || !hostnames.every(name => typeof name === 'string' && name.length > 0)) {
+      errors.push(`${where}.hostnames: must be a non-empty array of hostnames`);
+      return null;
+    }
+    if (typeof entry.cert !== 'string' || typeof entry.key !== 'string') {
+      errors.push(`${where}: cert and key file paths are required`);
+      return null;
+    }
+
+    const loaded = createContext({ cert: path.resolve(baseDir, entry.cert), key: path.resolve(baseDir, entry.key) }, ca, where, errors);
+    return loaded && { ...loaded, hostnames: hostnames.map(name => name.toLowerCase()) };
+  }).filter(Boolean);
+}
+
+/**
+ * Read and validate every certificate file
+ * @throws {TlsConfigError}
+ */
+function loadMaterial() {
+  const errors = [];
+
+  if (!CERT_PATH || !KEY_PATH) errors.push('TLS_CERT and TLS_KEY are required when TLS_PORT is set');
+  if (!CLIENT_AUTH_MODES.includes(CLIENT_AUTH)) errors.push(`TLS_CLIENT_AUTH must be one of ${CLIENT_AUTH_MODES.join(', ')}`);
+  if (CLIENT_AUTH !== 'none' && !CA_PATH) errors.push('TLS_CA is required when TLS_CLIENT_AUTH is not "none"');
+  if (!TLS_VERSIONS.includes(MIN_VERSION)) errors.push(`TLS_MIN_VERSION must be one of ${TLS_VERSIONS.join(', ')}`);
+  CLIENT_ROLE_ENTRIES
+    .filter(({ identity, role }) => !identity || !role)
+    .forEach(({ entry }) => errors.push(`TLS_CLIENT_ROLES: "${entry}" is not an identity=role pair`));
+  if (errors.length > 0) throw new TlsConfigError(errors);
+
+  let ca = null;
+  let clientCa = null;
+  if (CA_PATH) {
+    ca = readFile(CA_PATH, 'TLS_CA', errors);
+    try {
+      clientCa = ca && describeCertificate(ca);
+    } catch (err) {
+      errors.push(`TLS_CA: ${err.message}`);
+    }
+  }
+
+  const defaultCertificate = createContext({ cert: CERT_PATH, key: KEY_PATH }, ca, 'TLS_CERT/TLS_KEY', errors);
+  const sniCertificates = SNI_CONFIG_PATH ? loadSniCertificates(ca, errors) : [];
+
+  if (errors.length > 0) throw new TlsConfigError(errors);
+
+  return {
+    defaultCertificate,
+    sniCertificates,
+    clientCa,
+    files: [CA_PATH, SNI_CONFIG_PATH, ...defaultCertificate.files, ...sniCertificates.flatMap(entry => entry.files)].filter(Boolean)
+  };
+}
+
+/**
+ * Certificate for a requested hostname: exact name, then `*.domain`
+ * wildcard (one label), then the default certificate
+ */
+function selectContext(servername) {
+  const name = (servername || '').toLowerCase();
+  const wildcard = `*${name.slice(name.indexOf('.'))}`;
+
+  const match = material.sniCertificates.find(entry => entry.hostnames.includes(name)) ||
+    (name.includes('.') && material.sniCertificates.find(entry => entry.hostnames.includes(wildcard)));
+
+  return (match || material.defaultCertificate).context;
+}
+
+/**
+ * Re-read the certificates and swap them in for new connections. On
+ * failure the current ones stay in use.
+ * @returns {Object} { ok, error }
+ */
+export function reloadCertificates() {
+  if (!isTlsEnabled()) return null;
+
+  try {
+    const next = loadMaterial();
+    material = next;
+    if (server) {
+      server.setSecureContext({ ...material.defaultCertificate.options, minVersion: MIN_VERSION });
+      watchFiles();
+    }
+    lastReload = { at: new Date().toISOString(), ok: true, error: null };
+    console.log('TLS certificates reloaded');
+  } catch (err) {
+    lastReload = { at: new Date().toISOString(), ok: false, error: err.message };
+    console.error(`TLS certificate reload failed, keeping current certificates: ${err.message}`);
+  }
+  return lastReload;
+}
+
+/**
+ * Watch the directories of all certificate files. Directories rather than
+ * files so renames and symlink swaps (cert-manager, Kubernetes secrets) are
+ * seen; bursts of changes (cert then key) are debounced into one reload.
+ */
+function watchFiles() {
+  unwatchFiles();
+
+  let debounce = null;
+  const directories = [...new Set(material.files.map(file => path.dirname(path.resolve(file))))];
+
+  watchers = directories.map(directory => {
+    const watcher = fs.watch(directory, () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(reloadCertificates, 500);
+    });
+    watcher.unref();
+    return watcher;
+  });
+}
+
+function unwatchFiles() {
+  watchers.forEach(watcher => watcher.close());
+  watchers = [];
+}
+
+// HTTP/2 pseudo-headers (:method, :path, :authority, ...) are not forwarded
+const PSEUDO_HEADER_PREFIX = ':';
+const h1Headers = Symbol('h1Headers');
+const clientIp = Symbol('clientIp');
+
+/**
+ * Express 4 gives each request its app's prototypes (built on
+ * http.IncomingMessage), which breaks HTTP/2 compat requests. HTTP/2 requests
+ * are therefore served by an app instance of their own, whose prototypes put
+ * Express's methods on top of the HTTP/2 classes, with a `headers` view
+ * without pseudo-headers (host from :authority) so the proxy can forward
+ * them as HTTP/1.1.
+ */
+function useHttp2Prototypes(app) {
+  const withApp = (base) => Object.create(base, {
+    app: { configurable: true, enumerable: true, writable: true, value: app }
+  });
+
+  const request = Object.create(http2.Http2ServerRequest.prototype, Object.getOwnPropertyDescriptors(express.request));
+  const response = Object.create(http2.Http2ServerResponse.prototype, Object.getOwnPropertyDescriptors(express.response));
+  const rawHeaders = Object.getOwnPropertyDescriptor(http2.Http2ServerRequest.prototype, 'headers').get;
+
+  Object.defineProperty(request, 'headers', {
+    configurable: true,
+    get() {
+      if (!this[h1Headers]) {
+        const raw = rawHeaders.call(this);
+        const headers = {};
+        Object.entries(raw)
+          .filter(([name]) => !name.startsWith(PSEUDO_HEADER_PREFIX))
+          .forEach(([name, value]) => { headers[name] = value; });
+
+        if (!headers.host && raw[':authority']) headers.host = raw[':authority'];
+        // HTTP/2 bodies need no content-length; tell body parsers one follows
+        if (headers['content-length'] === undefined && !this.stream.endAfterHeaders) {
+          headers['transfer-encoding'] = 'chunked';
+        }
+        this[h1Headers] = headers;
+      }
+      return this[h1Headers];
+    },
+    set(headers) {
+      this[h1Headers] = headers;
+    }
+  });
+  // The stream's socket is gone once it closes (access log); keep the first answer
+  const ip = Object.getOwnPropertyDescriptor(express.request, 'ip').get;
+  Object.defineProperty(request, 'ip', {
+    configurable: true,
+    enumerable: true,
+    get() {
+      if (this[clientIp] === undefined) this[clientIp] = ip.call(this);
+      return this[clientIp];
+    }
+  });
+  // Express assigns res.req, a getter-only property on Http2ServerResponse
+  Object.defineProperty(response, 'req', { configurable: true, writable: true, value: undefined });
+
+  app.request = withApp(request);
+  app.response = withApp(response);
+  return app;
+}
+
+/**
+ * Start the TLS listener
+ * @param {Function} createApp - Builds the Express app; HTTP/2 gets its own instance
+ * @throws {TlsConfigError} when the certificates cannot be loaded
+ * @returns {Object} The server
+ */
+export function startTlsServer(createApp, onListening) {
+  material = loadMaterial();
+  lastReload = { at: new Date().toISOString(), ok: true, error: null };
+
+  const options = {
+    ...material.defaultCertificate.options,
+    minVersion: MIN_VERSION,
+    SNICallback: (servername, callback) => callback(null, selectContext(servername)),
+    requestCert: CLIENT_AUTH !== 'none',
+    rejectUnauthorized: CLIENT_AUTH === 'require'
+  };
+
+  const app = createApp();
+  if (HTTP2_ENABLED) {
+    const http2App = useHttp2Prototypes(createApp());
+    server = http2.createSecureServer({ ...options, allowHTTP1: true },
+      (req, res) => (req.httpVersionMajor === 2 ? http2App : app)(req, res));
+  } else {
+    server = https.createServer(options, app);
+  }
+
+  server.on('tlsClientError', (err) => {
+    if (CLIENT_AUTH === 'require') {
+      console.warn(`TLS handshake failed: ${err.message}`);
+    }
+  });
+
+  server.listen(TLS_PORT, TLS_HOST, onListening);
+  watchFiles();
+  return server;
+}
+
+/**
+ * Stop watching certificate files and close the listener
+ */
+export function closeTlsServer(callback) {
+  unwatchFiles();
+  if (!server) return callback && callback();
+  server.close(callback);
+  server = null;
+}
+
+/**
+ * Identity of a verified client certificate: SAN URI (e.g. SPIFFE ID),
+ * then email, then DNS name, then the subject CN
+ * @returns {Object|null} { identity, role, certificate } - null without a
+ *   certificate that chains to TLS_CA
+ */
+export function getClientIdentity(req) {
+  const socket = req.socket;
+  if (!socket || !socket.authorized || typeof socket.getPeerCertificate !== 'function') return null;
+
+  const cert = socket.getPeerCertificate();
+  if (!cert || !cert.subject) return null;
+
+  const altNames = (cert.subjectaltname || '').split(', ').filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    return { type: entry.slice(0, separator), value: entry.slice(separator + 1) };
+  });
+  const altName = (type) => (altNames.find(name => name.type === type) || {}).value;
+
+  const identity = altName('URI') || altName('email') || altName('DNS') || cert.subject.CN;
+  if (!identity) return null;
+
+  return {
+    identity,
+    role: CLIENT_ROLES.get(identity) || CLIENT_DEFAULT_ROLE,
+    certificate: {
+      subject: cert.subject.CN || null,
+      issuer: cert.issuer && cert.issuer.CN ? cert.issuer.CN : null,
+      subjectAltName: cert.subjectaltname || null,
+      serialNumber: cert.serialNumber,
+      fingerprint256: cert.fingerprint256,
+      validTo: new Date(cert.valid_to).toISOString()
+    }
+  };
+}
+
+/**
+ * Listener settings and loaded certificates (admin API)
+ */
+export function getTlsStatus() {
+  if (!isTlsEnabled()) {
+    return { enabled: false };
+  }
+
+  return {
+    enabled: true,
+    port: TLS_PORT,
+    host: TLS_HOST,
+    http2: HTTP2_ENABLED,
+    minVersion: MIN_VERSION,
+    clientAuth: CLIENT_AUTH,
+    clientCa: material ? material.clientCa : null,
+    clientRoles: Object.fromEntries(CLIENT_ROLES),
+    defaultCertificate: material ? material.defaultCertificate.certificate : null,
+    sniCertificates: material
+      ? material.sniCertificates.map(({ hostnames, certificate }) => ({ hostnames, ...certificate }))
+      : [],
+    lastReload
+  };
+}
@@ -0,0 +1,306 @@
+/**
+ * Token Issuer Module
+ * OAuth2-style token endpoint: password and client_credentials grants,
+ * rotating refresh tokens with reuse detection, and revocation
+ * Refresh token storage: in-memory (single instance) or Redis (shared across replicas)
+ */
+
+import crypto from 'crypto';
+import { signToken } from './auth.js';
+import { authenticateUser, authenticateClient, findActiveUser } from './userStore.js';
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 900;              // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 14 * 24 * 3600; // seconds
+// Legacy { userId, role } requests are only honoured in development mode
+export const AUTH_DEV_MODE = process.env.AUTH_DEV_MODE === 'true';
+
+/**
+ * OAuth2 error (RFC 6749 section 5.2)
+ */
+export class TokenError extends Error {
+  constructor(code, description, status = 400) {
+    super(description);
+    this.name = 'TokenError';
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: this.code, error_description: this.message };
+  }
+}
+
+// Refresh tokens are opaque; only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * In-memory Refresh Token Store
+ */
+export function createMemoryRefreshTokenStore() {
+  const tokens = new Map();
+  const revokedFamilies = new Map();
+
+  function prune(now = Date.now()) {
+    tokens.forEach((record, key) => {
+      if (record.expiresAt <= now) tokens.delete(key);
+    });
+    revokedFamilies.forEach((expiresAt, family) => {
+      if (expiresAt <= now) revokedFamilies.delete(family);
+    });
+  }
+
+  return {
+    type: 'memory',
+
+    async save(tokenHash, record) {
+      prune();
+      tokens.set(tokenHash, { ...record });
+    },
+
+    /**
+     * Mark a token used and return its previous state (atomic per process)
+     */
+    async use(tokenHash) {
+      const record = tokens.get(tokenHash);
+      if (!record || record.expiresAt <= Date.now()) return null;
+
+      const previous = { ...record };
+      record.used = true;
+      return previous;
+    },
+
+    async revokeFamily(family, expiresAt) {
+      revokedFamilies.set(family, expiresAt);
+      tokens.forEach((record, key) => {
+        if (record.family === family) tokens.delete(key);
+      });
+    },
+
+    async isFamilyRevoked(family) {
+      return revokedFamilies.has(family);
+    },
+
+    async stats() {
+      prune();
+      return { refreshTokens: tokens.size, revokedFamilies: revokedFamilies.size };
+    }
+  };
+}
+
+/**
+ * Redis Refresh Token Store
+ * @param {Object} client - Connected node-redis client (or compatible fake)
+ * @param {Object} options - { prefix }
+ */
+export function createRedisRefreshTokenStore(client, { prefix = 'gateway:refresh:' } = {}) {
+  return {
+    type: 'redis',
+
+    async save(tokenHash, record) {
+      await client.set(`${prefix}token:${tokenHash}`, JSON.stringify(record), { PXAT: record.expiresAt });
+    },
+
+    async use(tokenHash) {
+      const key = `${prefix}token:${tokenHash}`;
+      const current = await client.get(key);
+      if (!current) return null;
+
+      // SET ... GET swaps in the used marker and returns what was there, so two
+      // replicas racing on the same token cannot both see it unused
+      const previous = await client.set(key, JSON.stringify({ ...JSON.parse(current), used: true }), { XX: true, KEEPTTL: true, GET: true });
+      return previous ? JSON.parse(previous) : null;
+    },
+
+    async revokeFamily(family, expiresAt) {
+      await client.set(`${prefix}family:${family}`, 'revoked', { PXAT: expiresAt });
+    },
+
+    async isFamilyRevoked(family) {
+      return (await client.exists(`${prefix}family:${family}`)) === 1;
+    },
+
+    async stats() {
+      let refreshTokens = 0;
+      let revokedFamilies = 0;
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        if (key.startsWith(`${prefix}token:`)) refreshTokens++;
+        else revokedFamilies++;
+      }
+      return { refreshTokens, revokedFamilies };
+    }
+  };
+}
+
+let store = createMemoryRefreshTokenStore();
+
+/**
+ * Replace the refresh token storage backend
+ */
+export function setRefreshTokenStore(newStore) {
+  store = newStore;
+  console.log(`Refresh tokens using ${store.type} store`);
+}
+
+/**
+ * Sign an access token for an authenticated principal
+ */
+function signAccessToken({ subject, role, scopes, clientId = null }) {
+  const claims = {
+    sub: subject,
+    userId: subject,
+    role,
+    ...(clientId && { clientId }),
+    ...(scopes.length > 0 && { scope: scopes.join(' ') })
+  };
+
+  return signToken(claims, { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() });
+}
+
+async function issueRefreshToken(principal, family = crypto.randomUUID(), familyExpiresAt = null) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = familyExpiresAt || Date.now() + REFRESH_TOKEN_TTL * 1000;
+
+  await store.save(hashToken(token), { ...principal, family, expiresAt, used: false });
+  return token;
+}
+
+function tokenResponse(principal, refreshToken = null) {
+  return {
+    access_token: signAccessToken(principal),
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+    ...(refreshToken && { refresh_token: refreshToken }),
+    ...(principal.scopes.length > 0 && { scope: principal.scopes.join(' ') })
+  };
+}
+
+/**
+ * Credentials from HTTP Basic auth (client_id:client_secret), if present
+ */
+function basicCredentials(header) {
+  if (!header || !header.startsWith('Basic ')) return {};
+
+  const decoded = Buffer.from(header.slice('Basic '.length), 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return {};
+
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+    };
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Narrow the granted scopes to the requested ones (space separated)
+ */
+function grantScopes(allowed, requested) {
+  if (!requested) return allowed;
+
+  const scopes = String(requested).split(' ').filter(Boolean);
+  const denied = scopes.filter(scope => !allowed.includes(scope));
+  if (denied.length > 0) {
+    throw new TokenError('invalid_scope', `Scope not allowed: ${denied.join(' ')}`);
+  }
+  return scopes;
+}
+
+async function passwordGrant({ username, password, scope }) {
+  if (!username || !password) {
+    throw new TokenError('invalid_request', 'username and password are required');
+  }
+
+  const principal = await authenticateUser(username, password);
+  if (!principal) {
+    throw new TokenError('invalid_grant', 'Invalid username or password');
+  }
+
+  const granted = { ...principal, scopes: grantScopes(principal.scopes, scope) };
+  return tokenResponse(granted, await issueRefreshToken(granted));
+}
+
+async function clientCredentialsGrant(body, authorization) {
+  const basic = basicCredentials(authorization);
+  const clientId = basic.clientId || body.client_id;
+  const clientSecret = basic.clientSecret || body.client_secret;
+
+  if (!clientId || !clientSecret) {
+    throw new TokenError('invalid_client', 'Client authentication required', 401);
+  }
+
+  const principal = await authenticateClient(clientId, clientSecret);
+  if (!principal) {
+    throw new TokenError('invalid_client', 'Invalid client credentials', 401);
+  }
+
+  // No refresh token: the client can always authenticate again
+  return tokenResponse({ ...principal, clientId, scopes: grantScopes(principal.scopes, body.scope) });
+}
+
+async function refreshTokenGrant({ refresh_token: refreshToken }) {
+  if (!refreshToken) {
+    throw new TokenError('invalid_request', 'refresh_token is required');
+  }
+
+  const record = await store.use(hashToken(String(refreshToken)));
+  if (!record || await store.isFamilyRevoked(record.family)) {
+    throw new TokenError('invalid_grant', 'Invalid or expired refresh token');
+  }
+
+  // A rotated token presented again means it leaked: revoke the whole chain
+  if (record.used) {
+    await store.revokeFamily(record.family, record.expiresAt);
+    console.warn(`Refresh token reuse detected for ${record.subject} - token family revoked`);
+    throw new TokenError('invalid_grant', 'Refresh token was already used; all tokens in this session are revoked');
+  }
+
+  const { family, expiresAt, used, ...granted } = record;
+
+  // The user store decides on every refresh: a removed or disabled user ends the session
+  const user = await findActiveUser(granted.subject);
+  if (!user) {
+    await store.revokeFamily(family, expiresAt);
+    throw new TokenError('invalid_grant', 'User is unknown or disabled; all tokens in this session are revoked');
+  }
+
+  // Current role and scopes, still narrowed to what the session was granted
+  const principal = { ...user, scopes: user.scopes.filter(scope => granted.scopes.includes(scope)) };
+
+  // The family keeps its original expiry, so rotation cannot extend a session forever
+  return tokenResponse(principal, await issueRefreshToken(principal, family, expiresAt));
+}
+
+/**
+ * Handle a token request
+ * @param {Object} body - Request body (JSON or form encoded)
+ * @param {string} [authorization] - Authorization header (client credentials via Basic auth)
+ * @throws {TokenError}
+ */
+export async function issueToken(body = {}, authorization) {
+  switch (body.grant_type) {
+    case 'password':
+      return passwordGrant(body);
+    case 'client_credentials':
+      return clientCredentialsGrant(body, authorization);
+    case 'refresh_token':
+      return refreshTokenGrant(body);
+    case undefined:
+      throw new TokenError('invalid_request', 'grant_type is required (password, client_credentials or refresh_token)');
+    default:
+      throw new TokenError('unsupported_grant_type', `Unsupported grant_type: ${body.grant_type}`);
+  }
+}
+
+/**
+ * Revoke a refresh token and every token rotated from it (RFC 7009 style:
+ * unknown tokens are not an error)
+ */
+export async function revokeToken(refreshToken) {
+  const record = refreshToken ? await store.use(hashToken(String(refreshToken))) : null;
+  if (record) {
+    await store.revokeFamily(record.family, record.expiresAt);
+  }
+}
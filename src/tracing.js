@@ -0,0 +1,246 @@
+/**
+ * Tracing Module
+ * W3C Trace Context (traceparent) propagation, spans for the gateway's
+ * request pipeline, and batched export to an OpenTelemetry collector (OTLP/HTTP JSON)
+ */
+
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+import axios from 'axios';
+
+// Full traces URL, or the collector base URL (+ /v1/traces); unset disables export
+const OTLP_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+  (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces` : null);
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'api-gateway';
+// Share of new traces that are recorded; incoming traceparents keep their own decision
+const SAMPLE_RATIO = process.env.TRACE_SAMPLE_RATIO !== undefined ? parseFloat(process.env.TRACE_SAMPLE_RATIO) : 1;
+const EXPORT_INTERVAL = parseInt(process.env.OTEL_EXPORT_INTERVAL, 10) || 5000;
+const MAX_BATCH_SIZE = 512;
+const MAX_QUEUE_SIZE = 2048;
+
+export const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+let queue = [];
+let exportTimer = null;
+const exportStats = { exported: 0, dropped: 0, failed: 0, lastError: null };
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const nowNanos = () => BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+/**
+ * Parse a traceparent header
+ * @returns {Object|null} { traceId, parentSpanId, sampled } or null if missing/invalid
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentSpanId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) return null;
+
+  return { traceId, parentSpanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+export function formatTraceparent(traceId, spanId, sampled) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Start a span in the request's trace (child of the gateway's server span)
+ * @param {Object} req - Request with req.trace set by tracingMiddleware
+ * @param {string} name - Span name
+ * @param {Object} options - { kind, attributes }
+ */
+export function startSpan(req, name, { kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+  const trace = req.trace;
+
+  return {
+    traceId: trace.traceId,
+    spanId: randomHex(8),
+    parentSpanId: trace.rootSpan ? trace.rootSpan.spanId : trace.parentSpanId,
+    sampled: trace.sampled,
+    name,
+    kind,
+    startTime: nowNanos(),
+    endTime: null,
+    attributes: { ...attributes },
+    status: { code: STATUS_CODE.UNSET }
+  };
+}
+
+/**
+ * Finish a span and queue it for export
+ * @param {Object} result - { attributes, error } - error (message or Error) marks the span failed
+ */
+export function endSpan(span, { attributes = {}, error = null } = {}) {
+  if (span.endTime !== null) return;
+
+  span.endTime = nowNanos();
+  Object.assign(span.attributes, attributes);
+  span.status = error
+    ? { code: STATUS_CODE.ERROR, message: error.message || String(error) }
+    : { code: STATUS_CODE.OK };
+
+  if (!span.sampled || !OTLP_ENDPOINT) return;
+
+  if (queue.length >= MAX_QUEUE_SIZE) {
+    queue.shift();
+    exportStats.dropped++;
+  }
+  queue.push(span);
+
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flushSpans();
+  }
+}
+
+/**
+ * Accept or start a trace for every request and record the gateway's server span.
+ * Must run before the middleware it should cover.
+ */
+export function tracingMiddleware(req, res, next) {
+  const incoming = parseTraceparent(req.headers.traceparent);
+
+  req.trace = incoming
+    ? { traceId: incoming.traceId, parentSpanId: incoming.parentSpanId, sampled: incoming.sampled }
+    : { traceId: randomHex(16), parentSpanId: null, sampled: Math.random() < SAMPLE_RATIO };
+
+  req.trace.rootSpan = startSpan(req, `${req.method} gateway`, {
+    kind: SPAN_KIND.SERVER,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'client.address': req.ip
+    }
+  });
+
+  res.set('X-Trace-Id', req.trace.traceId);
+
+  const finish = () => {
+    const attributes = { 'http.response.status_code': res.statusCode };
+    if (req.gatewayRoute) {
+      attributes['http.route'] = req.gatewayRoute.path;
+    }
+
+    endSpan(req.trace.rootSpan, {
+      attributes,
+      error: res.statusCode >= 500 ? `HTTP ${res.statusCode}` : (res.writableFinished ? null : 'client closed connection')
+    });
+  };
+  res.once('finish', finish);
+  res.once('close', finish);
+
+  next();
+}
+
+/**
+ * Wrap a middleware in a span that lasts until it calls next() or
+ * answers the request itself
+ * @param {Function} [annotate] - (req, res) => extra span attributes
+ */
+export function traced(name, middleware, annotate = () => ({})) {
+  return (req, res, next) => {
+    const span = startSpan(req, name);
+
+    const end = (error) => endSpan(span, {
+      attributes: annotate(req, res),
+      error: error || (res.headersSent && res.statusCode >= 400 ? `HTTP ${res.statusCode}` : null)
+    });
+
+    res.once('finish', () => end());
+    res.once('close', () => end());
+
+    middleware(req, res, (err) => {
+      end(err);
+      next(err);
+    });
+  };
+}
+
+/**
+ * Header value that continues the trace in an upstream request
+ */
+export function getTraceparent(span) {
+  return formatTraceparent(span.traceId, span.spanId, span.sampled);
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+      if (typeof value === 'number') return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: span.startTime.toString(),
+    endTimeUnixNano: span.endTime.toString(),
+    attributes: toAttributes(span.attributes),
+    status: span.status
+  };
+}
+
+/**
+ * Send queued spans to the collector
+ */
+export async function flushSpans() {
+  if (!OTLP_ENDPOINT || queue.length === 0) return;
+
+  const batch = queue.slice(0, MAX_BATCH_SIZE);
+  queue = queue.slice(batch.length);
+
+  const payload = {
+    resourceSpans: [{
+      resource: { attributes: toAttributes({ 'service.name': SERVICE_NAME }) },
+      scopeSpans: [{
+        scope: { name: 'api-gateway' },
+        spans: batch.map(toOtlpSpan)
+      }]
+    }]
+  };
+
+  try {
+    await axios.post(OTLP_ENDPOINT, payload, { timeout: 10000 });
+    exportStats.exported += batch.length;
+  } catch (error) {
+    exportStats.failed += batch.length;
+    exportStats.lastError = error.message;
+    console.error(`Span export to ${OTLP_ENDPOINT} failed:`, error.message);
+  }
+}
+
+/**
+ * Start periodic span export (no-op without a collector endpoint)
+ */
+export function initTracing() {
+  if (!OTLP_ENDPOINT || exportTimer) return;
+
+  exportTimer = setInterval(flushSpans, EXPORT_INTERVAL);
+  exportTimer.unref();
+  console.log(`Exporting traces to ${OTLP_ENDPOINT} as ${SERVICE_NAME}`);
+}
+
+/**
+ * Tracing configuration and export counters
+ */
+export function getTracingStats() {
+  return {
+    endpoint: OTLP_ENDPOINT,
+    serviceName: SERVICE_NAME,
+    sampleRatio: SAMPLE_RATIO,
+    queued: queue.length,
+    ...exportStats
+  };
+}
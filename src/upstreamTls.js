@@ -0,0 +1,111 @@
+/**
+ * Upstream TLS Module
+ * Connection settings for https:// upstreams from the route's (or the
+ * upstream's own) `tls` options: trusted CA bundle, client certificate for
+ * mTLS, SNI name and certificate verification. Used by the proxy and by
+ * health checks, so both see the upstream the same way.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+
+// Settings signature -> https.Agent (keep-alive connections per TLS identity)
+let agents = new Map();
+let watchers = [];
+const watchedDirectories = new Set();
+const warnedInsecure = new Set();
+
+/**
+ * Effective TLS settings of an upstream (its own, else the route's)
+ */
+export function getUpstreamTlsSettings(route, url) {
+  const upstream = route.upstreams.find(candidate => candidate.url === url);
+  return (upstream && upstream.tls) || route.tls;
+}
+
+const usesDefaults = (settings) => !settings ||
+  (settings.ca === null && settings.cert === null && settings.servername === null && settings.rejectUnauthorized);
+
+/**
+ * Node TLS options for the settings, with certificate files read from disk
+ * @returns {Object} { ca, cert, key, servername, rejectUnauthorized }
+ */
+export function getUpstreamTlsOptions(url, settings) {
+  if (usesDefaults(settings)) return {};
+
+  if (!settings.rejectUnauthorized && !warnedInsecure.has(url)) {
+    warnedInsecure.add(url);
+    console.warn(`Certificate verification is disabled for ${url} (tls.rejectUnauthorized: false)`);
+  }
+
+  return {
+    ...(settings.ca !== null && { ca: [].concat(settings.ca).map(file => fs.readFileSync(file)) }),
+    ...(settings.cert !== null && { cert: fs.readFileSync(settings.cert), key: fs.readFileSync(settings.key) }),
+    ...(settings.servername !== null && { servername: settings.servername }),
+    rejectUnauthorized: settings.rejectUnauthorized
+  };
+}
+
+/**
+ * HTTPS agent for an upstream, or undefined to use Node's default agent
+ * (plain http:// upstreams and https:// ones without tls settings)
+ */
+export function getUpstreamAgent(url, settings) {
+  if (!url.startsWith('https:') || usesDefaults(settings)) return undefined;
+
+  const signature = JSON.stringify(settings);
+  if (!agents.has(signature)) {
+    agents.set(signature, new https.Agent({ keepAlive: true, ...getUpstreamTlsOptions(url, settings) }));
+    watchFiles(settings);
+  }
+  return agents.get(signature);
+}
+
+/**
+ * Stop reusing current agents so the next requests read the certificate
+ * files again. Pooled idle connections are closed; busy ones finish first.
+ */
+export function resetUpstreamAgents() {
+  const retired = agents;
+  agents = new Map();
+
+  retired.forEach(agent => {
+    agent.keepAlive = false;
+    Object.values(agent.freeSockets).flat().forEach(socket => socket.destroy());
+  });
+}
+
+/**
+ * Renewed CA bundles or client certificates are picked up without a
+ * restart: a change in any of their directories retires the agents
+ */
+function watchFiles(settings) {
+  const files = [...[].concat(settings.ca ?? []), settings.cert, settings.key].filter(Boolean);
+
+  let debounce = null;
+  files
+    .map(file => path.dirname(path.resolve(file)))
+    .filter(directory => !watchedDirectories.has(directory))
+    .forEach(directory => {
+      watchedDirectories.add(directory);
+      const watcher = fs.watch(directory, () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+          console.log(`Upstream TLS files changed in ${directory}; reconnecting with the new certificates`);
+          resetUpstreamAgents();
+        }, 500);
+      });
+      watcher.unref();
+      watchers.push(watcher);
+    });
+}
+
+/**
+ * Stop watching upstream certificate files
+ */
+export function unwatchUpstreamTls() {
+  watchers.forEach(watcher => watcher.close());
+  watchers = [];
+  watchedDirectories.clear();
+}
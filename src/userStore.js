@@ -0,0 +1,154 @@
+/**
+ * User Store Module
+ * Users (password grant) and API clients (client credentials grant) that can
+ * obtain tokens, with scrypt-hashed secrets. Roles and scopes come from here,
+ * never from the token request.
+ * Storage: JSON file (default); any object with findUser/findClient can be plugged in
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE_PATH = process.env.USER_STORE_PATH || path.join(__dirname, '../config/users.json');
+
+// scrypt cost parameters stored with each hash, so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 32;
+
+const scrypt = (secret, salt, options) => new Promise((resolve, reject) => {
+  crypto.scrypt(secret, salt, KEY_LENGTH, options, (err, key) => err ? reject(err) : resolve(key));
+});
+
+/**
+ * Hash a password or client secret: scrypt$N$r$p$<salt b64>$<hash b64>
+ */
+export async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(secret, salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return `scrypt$${SCRYPT_N}$${SCRYPT_R}$${SCRYPT_P}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Check a secret against a stored hash in constant time
+ */
+export async function verifySecret(secret, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(String(secret), Buffer.from(salt, 'base64'), {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r)
+  });
+
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * File User Store
+ * { "users": [{ username, passwordHash, role, scopes }], "clients": [{ clientId, secretHash, role, scopes }] }
+ * Re-read when the file changes on disk.
+ */
+export function createFileUserStore(filePath = DEFAULT_FILE_PATH) {
+  let cache = { mtimeMs: null, users: new Map(), clients: new Map() };
+
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return cache = { mtimeMs: null, users: new Map(), clients: new Map() };
+    }
+
+    if (stat.mtimeMs === cache.mtimeMs) return cache;
+
+    const { users = [], clients = [] } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    cache = {
+      mtimeMs: stat.mtimeMs,
+      users: new Map(users.map(user => [user.username, user])),
+      clients: new Map(clients.map(client => [client.clientId, client]))
+    };
+    return cache;
+  }
+
+  return {
+    type: 'file',
+    path: filePath,
+
+    async findUser(username) {
+      return load().users.get(username) || null;
+    },
+
+    async findClient(clientId) {
+      return load().clients.get(clientId) || null;
+    },
+
+    async stats() {
+      const { users, clients } = load();
+      return { users: users.size, clients: clients.size };
+    }
+  };
+}
+
+let store = createFileUserStore();
+
+/**
+ * Replace the user store
+ */
+export function setUserStore(newStore) {
+  store = newStore;
+  console.log(`User store: ${store.type}`);
+}
+
+export function getUserStore() {
+  return store;
+}
+
+// Compared against when the account does not exist, so unknown usernames
+// take as long as wrong passwords
+const DUMMY_HASH = await hashSecret(crypto.randomBytes(16).toString('hex'));
+
+const userPrincipal = (user) => ({ subject: user.username, role: user.role || 'user', scopes: user.scopes || [] });
+
+/**
+ * Check username/password
+ * @returns {Promise<Object|null>} { subject, role, scopes } or null
+ */
+export async function authenticateUser(username, password) {
+  const user = username ? await store.findUser(String(username)) : null;
+  const valid = await verifySecret(password ?? '', user ? user.passwordHash : DUMMY_HASH);
+
+  if (!user || !valid || user.disabled) return null;
+  return userPrincipal(user);
+}
+
+/**
+ * Current role and scopes of a user (no password check), e.g. on refresh
+ * @returns {Promise<Object|null>} { subject, role, scopes } or null when unknown or disabled
+ */
+export async function findActiveUser(username) {
+  const user = username ? await store.findUser(String(username)) : null;
+
+  if (!user || user.disabled) return null;
+  return userPrincipal(user);
+}
+
+/**
+ * Check client id/secret
+ * @returns {Promise<Object|null>} { subject, role, scopes } or null
+ */
+export async function authenticateClient(clientId, clientSecret) {
+  const client = clientId ? await store.findClient(String(clientId)) : null;
+  const valid = await verifySecret(clientSecret ?? '', client ? client.secretHash : DUMMY_HASH);
+
+  if (!client || !valid || client.disabled) return null;
+  return { subject: `client:${client.clientId}`, role: client.role || 'api-consumer', scopes: client.scopes || [] };
+}
@@ -0,0 +1,114 @@
+/**
+ * Webhooks Module
+ * Delivers gateway events to configured URLs as signed JSON, retrying with backoff
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { onGatewayEvent } from './events.js';
+
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+// Empty means every event type
+const WEBHOOK_EVENTS = (process.env.WEBHOOK_EVENTS || '').split(',').map(type => type.trim()).filter(Boolean);
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 5000;
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 1000;
+const BACKOFF_MAX_MS = 60000;
+
+const targets = Object.fromEntries(WEBHOOK_URLS.map(url => [url, {
+  delivered: 0,
+  failed: 0,
+  pending: 0,
+  lastError: null,
+  lastDeliveryAt: null
+}]));
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded.
+ * Receivers recompute it with the shared secret and compare; the timestamp
+ * lets them reject replays.
+ */
+export function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Client errors other than timeouts/throttling will not get better with a retry
+ */
+function isRetryable(status) {
+  return status === undefined || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * POST one event to one URL, retrying with exponential backoff
+ */
+async function deliver(url, event, body, deliveryId, attempt = 1) {
+  const stats = targets[url];
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Gateway-Event': event.type,
+    'X-Gateway-Delivery': deliveryId,
+    'X-Gateway-Timestamp': timestamp
+  };
+
+  if (WEBHOOK_SECRET) {
+    headers['X-Gateway-Signature'] = `sha256=${signPayload(body, timestamp)}`;
+  }
+
+  try {
+    await axios.post(url, body, { headers, timeout: TIMEOUT });
+    stats.delivered++;
+    stats.pending--;
+    stats.lastDeliveryAt = new Date();
+  } catch (error) {
+    const status = error.response && error.response.status;
+    stats.lastError = status ? `HTTP ${status}` : error.message;
+
+    if (attempt >= MAX_ATTEMPTS || !isRetryable(status)) {
+      stats.failed++;
+      stats.pending--;
+      console.error(`Webhook ${event.type} to ${url} failed after ${attempt} attempt(s): ${stats.lastError}`);
+      return;
+    }
+
+    const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    // Pending retries must not keep the process alive on shutdown
+    setTimeout(() => deliver(url, event, body, deliveryId, attempt + 1), delay).unref();
+  }
+}
+
+/**
+ * Start forwarding gateway events to the configured webhook URLs
+ */
+export function initWebhooks() {
+  if (WEBHOOK_URLS.length === 0) return;
+
+  onGatewayEvent(event => {
+    if (WEBHOOK_EVENTS.length > 0 && event.type !== 'test' && !WEBHOOK_EVENTS.includes(event.type)) {
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    WEBHOOK_URLS.forEach(url => {
+      targets[url].pending++;
+      deliver(url, event, body, crypto.randomUUID());
+    });
+  });
+
+  console.log(`Webhooks enabled for ${WEBHOOK_URLS.length} URL(s)${WEBHOOK_SECRET ? '' : ' (unsigned - set WEBHOOK_SECRET)'}`);
+}
+
+/**
+ * Webhook configuration and delivery statistics
+ */
+export function getWebhookStatus() {
+  return {
+    signed: WEBHOOK_SECRET !== '',
+    events: WEBHOOK_EVENTS.length > 0 ? WEBHOOK_EVENTS : 'all',
+    maxAttempts: MAX_ATTEMPTS,
+    targets: Object.entries(targets).map(([url, stats]) => ({ url, ...stats }))
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Windowed Metrics Module
+ * Request rate, error rate and latency percentiles per route and upstream
+ * over the last few minutes (1m / 5m / 15m), instead of since boot
+ */
+
+const BUCKET_MS = 10000;
+const RETENTION_MS = 15 * 60 * 1000;
+export const WINDOWS = { '1m': 60000, '5m': 300000, '15m': RETENTION_MS };
+
+// Latency histogram: log-spaced bins from 1ms growing 10% each, so percentiles
+// are within 10% of the real value; the last bin catches everything above ~60s
+const LATENCY_BASE_MS = 1;
+const LATENCY_GROWTH = 1.1;
+const LATENCY_BINS = Math.ceil(Math.log(60000 / LATENCY_BASE_MS) / Math.log(LATENCY_GROWTH)) + 2;
+
+// Time buckets keyed by bucket index; each holds one series per route/upstream pair.
+// Memory is bounded by the number of buckets kept and routes x upstreams.
+const buckets = new Map();
+const startedAt = Date.now();
+
+const seriesKey = (route, upstream) => `${route}\u0000${upstream}`;
+
+function latencyBin(ms) {
+  if (ms <= LATENCY_BASE_MS) return 0;
+  return Math.min(Math.ceil(Math.log(ms / LATENCY_BASE_MS) / Math.log(LATENCY_GROWTH)), LATENCY_BINS - 1);
+}
+
+const binUpperBound = (bin) => LATENCY_BASE_MS * LATENCY_GROWTH ** bin;
+
+function createStats() {
+  return {
+    requests: 0,
+    serverErrors: 0,
+    clientErrors: 0,
+    latencyTotal: 0,
+    latency: new Uint32Array(LATENCY_BINS)
+  };
+}
+
+function addStats(target, source) {
+  target.requests += source.requests;
+  target.serverErrors += source.serverErrors;
+  target.clientErrors += source.clientErrors;
+  target.latencyTotal += source.latencyTotal;
+  for (let i = 0; i < LATENCY_BINS; i++) {
+    target.latency[i] += source.latency[i];
+  }
+}
+
+function prune(now) {
+  const oldest = Math.floor((now - RETENTION_MS) / BUCKET_MS);
+  for (const index of buckets.keys()) {
+    if (index < oldest) buckets.delete(index);
+  }
+}
+
+/**
+ * Record a finished request
+ * @param {string} upstream - Upstream the router picked, 'none' if not proxied
+ * @param {number|null} status - Response status, null when no response was sent
+ */
+export function recordWindowedRequest(route, upstream, status, latencyMs, now = Date.now()) {
+  const index = Math.floor(now / BUCKET_MS);
+
+  if (!buckets.has(index)) {
+    buckets.set(index, new Map());
+    prune(now);
+  }
+
+  const series = buckets.get(index);
+  const key = seriesKey(route, upstream);
+  if (!series.has(key)) {
+    series.set(key, { route, upstream, stats: createStats() });
+  }
+
+  const stats = series.get(key).stats;
+  stats.requests++;
+  if (status === null || status >= 500) stats.serverErrors++;
+  else if (status >= 400) stats.clientErrors++;
+  stats.latencyTotal += latencyMs;
+  stats.latency[latencyBin(latencyMs)]++;
+}
+
+function percentile(stats, p) {
+  if (stats.requests === 0) return null;
+
+  const rank = Math.ceil(stats.requests * p);
+  let seen = 0;
+  for (let i = 0; i < LATENCY_BINS; i++) {
+    seen += stats.latency[i];
+    if (seen >= rank) return Number(binUpperBound(i).toFixed(1));
+  }
+  return null;
+}
+
+function summarize(stats, seconds) {
+  const rate = (count) => stats.requests > 0 ? Number((count / stats.requests * 100).toFixed(2)) : 0;
+
+  return {
+    requests: stats.requests,
+    requestsPerSecond: Number((stats.requests / seconds).toFixed(3)),
+    errorRate: rate(stats.serverErrors),
+    clientErrorRate: rate(stats.clientErrors),
+    latency: {
+      avg: stats.requests > 0 ? Number((stats.latencyTotal / stats.requests).toFixed(1)) : null,
+      p50: percentile(stats, 0.5),
+      p95: percentile(stats, 0.95),
+      p99: percentile(stats, 0.99)
+    }
+  };
+}
+
+/**
+ * Parse a window such as "5m", "30s" or "1h"
+ * @returns {number|null} Milliseconds, or null when invalid or longer than what is kept
+ */
+export function parseWindow(value) {
+  if (WINDOWS[value]) return WINDOWS[value];
+
+  const match = /^(\d+)(s|m|h)$/.exec(String(value));
+  if (!match) return null;
+
+  const ms = parseInt(match[1], 10) * { s: 1000, m: 60000, h: 3600000 }[match[2]];
+  return ms >= BUCKET_MS && ms <= RETENTION_MS ? ms : null;
+}
+
+/**
+ * Aggregate the buckets that fall inside the window
+ * @param {number} windowMs - Window length, up to 15 minutes
+ */
+export function getWindowedMetrics(windowMs, now = Date.now()) {
+  const oldest = Math.floor((now - windowMs) / BUCKET_MS) + 1;
+  // Rates are computed over the time the included buckets cover (the gateway may be younger than the window)
+  const seconds = Math.max(now - Math.max(oldest * BUCKET_MS, startedAt), 1000) / 1000;
+
+  const total = createStats();
+  const routes = {};
+  const upstreams = {};
+
+  buckets.forEach((series, index) => {
+    if (index < oldest) return;
+
+    series.forEach(({ route, upstream, stats }) => {
+      addStats(total, stats);
+
+      if (!routes[route]) routes[route] = { stats: createStats(), upstreams: {} };
+      addStats(routes[route].stats, stats);
+
+      if (!routes[route].upstreams[upstream]) routes[route].upstreams[upstream] = createStats();
+      addStats(routes[route].upstreams[upstream], stats);
+
+      if (!upstreams[upstream]) upstreams[upstream] = createStats();
+      addStats(upstreams[upstream], stats);
+    });
+  });
+
+  return {
+    windowMs,
+    coveredSeconds: seconds,
+    ...summarize(total, seconds),
+    routes: Object.fromEntries(Object.entries(routes).map(([route, { stats, upstreams: byUpstream }]) => [route, {
+      ...summarize(stats, seconds),
+      upstreams: Object.fromEntries(Object.entries(byUpstream).map(([upstream, upstreamStats]) =>
+        [upstream, summarize(upstreamStats, seconds)]))
+    }])),
+    upstreams: Object.fromEntries(Object.entries(upstreams).map(([upstream, stats]) =>
+      [upstream, summarize(stats, seconds)]))
+  };
+}
+
+/**
+ * Gateway-wide totals for each standard window
+ */
+export function getWindowSummaries(now = Date.now()) {
+  return Object.fromEntries(Object.entries(WINDOWS).map(([name, windowMs]) => {
+    const { routes, upstreams, ...summary } = getWindowedMetrics(windowMs, now);
+    return [name, summary];
+  }));
+}
+
+/**
+ * Drop all windowed data (for testing)
+ */
+export function resetWindowedMetrics() {
+  buckets.clear();
+}
@@ -144,7 +144,7 @@ echo ""
 # Step 9: Dynamic Route Management
 section "9️⃣  Dynamic Route Management"
 echo -e "${YELLOW}Current routes:${NC}"
-curl -s -H "Authorization: Bearer $TOKEN" "$GATEWAY_URL/admin/routes" | jq 'length'
+curl -s -H "Authorization: Bearer $TOKEN" "$GATEWAY_URL/admin/routes" | jq '.routes | length'
 echo ""
 
 # Step 10: Prometheus Metrics
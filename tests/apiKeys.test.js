@@ -0,0 +1,34 @@
+/**
+ * API Key Store Tests
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileApiKeyStore } from '../src/apiKeys.js';
+
+test('concurrent changes to the file store are all kept', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apikeys-'));
+  const filePath = path.join(directory, 'apikeys.json');
+
+  try {
+    const store = createFileApiKeyStore(filePath);
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.save({ id: `key${i}`, name: `Key ${i}` })));
+    await Promise.all([store.remove('key0'), store.save({ id: 'key1', name: 'Renamed' }), store.remove('key2')]);
+
+    const expected = Array.from({ length: 20 }, (_, i) => `key${i}`).filter(id => id !== 'key0' && id !== 'key2');
+    assert.deepEqual((await store.list()).map(record => record.id).sort(), expected.sort());
+    assert.equal((await store.get('key1')).name, 'Renamed');
+
+    // Everything reached the file, and no temporary files were left behind
+    const reopened = createFileApiKeyStore(filePath);
+    assert.equal((await reopened.list()).length, 18);
+    assert.deepEqual(await fs.promises.readdir(directory), ['apikeys.json']);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
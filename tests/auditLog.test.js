@@ -0,0 +1,54 @@
+/**
+ * Audit Store Tests
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileAuditStore } from '../src/auditLog.js';
+
+const lineCount = async (file) => (await fs.promises.readFile(file, 'utf-8')).split('\n').filter(Boolean).length;
+
+test('file store rotates when full and keeps the newest entries', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+  const filePath = path.join(directory, 'audit.log');
+
+  try {
+    const store = createFileAuditStore(filePath, { maxEntries: 3 });
+    await Promise.all(Array.from({ length: 8 }, (_, i) => store.append({ id: i })));
+
+    assert.deepEqual((await store.list()).map(entry => entry.id), [5, 6, 7]);
+    assert.equal(await lineCount(filePath), 2);
+    assert.equal(await lineCount(`${filePath}.1`), 3);
+    assert.deepEqual((await fs.promises.readdir(directory)).sort(), ['audit.log', 'audit.log.1']);
+
+    // A new store (restart) sees the same entries across both files
+    const reopened = createFileAuditStore(filePath, { maxEntries: 3 });
+    assert.deepEqual((await reopened.list()).map(entry => entry.id), [5, 6, 7]);
+
+    await reopened.append({ id: 8 });
+    assert.deepEqual((await reopened.list()).map(entry => entry.id), [6, 7, 8]);
+    assert.equal(await lineCount(filePath), 3);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('queries do not re-read the file', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+  const filePath = path.join(directory, 'audit.log');
+
+  try {
+    const store = createFileAuditStore(filePath, { maxEntries: 10 });
+    await store.append({ id: 1 });
+    await fs.promises.writeFile(filePath, '');
+
+    assert.deepEqual((await store.list()).map(entry => entry.id), [1]);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
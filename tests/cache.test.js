@@ -0,0 +1,80 @@
+/**
+ * Response Cache Tests
+ * Redis store (against a scripted client) and falling back to the upstream
+ * when the store errors or stops answering
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRedisCacheStore, setCacheStore, createMemoryCacheStore, cacheMiddleware } from '../src/cache.js';
+import { loadConfig } from '../src/config.js';
+
+let directory;
+
+// Minimal Express-like request/response pair
+function call(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      json(body) { resolve({ passed: false, body }); }
+    };
+    middleware(req, res, () => resolve({ passed: true, headers: res.headers }));
+  });
+}
+
+const quietly = async (fn) => {
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = errors;
+  }
+};
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+  const filePath = path.join(directory, 'routes.json');
+  await fs.promises.writeFile(filePath, JSON.stringify({
+    routes: { '/products': { upstreams: ['http://localhost:3003'], cache: { ttl: 60000 } } }
+  }));
+  loadConfig(filePath);
+});
+
+after(async () => {
+  setCacheStore(createMemoryCacheStore());
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('redis store gives up after the timeout', async () => {
+  const hanging = () => new Promise(() => {});
+  const store = createRedisCacheStore({ get: hanging, set: hanging }, { timeoutMs: 50 });
+
+  await assert.rejects(store.get('/products'), /did not answer within 50ms/);
+  await assert.rejects(store.set('/products', {}, 1000), /did not answer within 50ms/);
+});
+
+test('requests go upstream when the store fails', async () => {
+  const request = { method: 'GET', path: '/products', originalUrl: '/products' };
+
+  setCacheStore(createRedisCacheStore({ get: async () => { throw new Error('The client is closed'); } }));
+  assert.equal((await quietly(() => call(cacheMiddleware, request))).passed, true);
+
+  setCacheStore(createRedisCacheStore({ get: () => new Promise(() => {}) }, { timeoutMs: 50 }));
+  assert.equal((await quietly(() => call(cacheMiddleware, request))).passed, true);
+});
+
+test('redis store returns cached entries', async () => {
+  const entry = { value: { id: 1 }, cachedAt: Date.now(), expiresAt: Date.now() + 60000 };
+  setCacheStore(createRedisCacheStore({ get: async (key) => key === 'gateway:cache:/products' ? JSON.stringify(entry) : null }));
+
+  const hit = await call(cacheMiddleware, { method: 'GET', path: '/products', originalUrl: '/products' });
+  assert.equal(hit.passed, false);
+  assert.deepEqual(hit.body, { id: 1 });
+});
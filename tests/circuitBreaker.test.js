@@ -0,0 +1,39 @@
+/**
+ * Circuit Breaker Tests
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replaceRoutes } from '../src/config.js';
+import { onRequestStart, recordOutcome, isCircuitAvailable, getCircuitState } from '../src/circuitBreaker.js';
+
+const fail = (upstream) => {
+  onRequestStart(upstream);
+  recordOutcome(upstream, { success: false, latencyMs: 5 });
+};
+
+test('routes sharing an upstream use the same breaker settings', () => {
+  replaceRoutes({
+    '/orders': { upstreams: ['http://shared:1'], circuitBreaker: { failureThreshold: 2 } },
+    '/o': { upstreams: ['http://shared:1'], circuitBreaker: { failureThreshold: 50 } }
+  }, 'test');
+
+  fail('http://shared:1');
+  fail('http://shared:1');
+
+  assert.equal(getCircuitState('http://shared:1').state, 'open');
+  assert.equal(isCircuitAvailable('http://shared:1'), false);
+});
+
+test('a disabled breaker tracks nothing', () => {
+  replaceRoutes({
+    '/plain': { upstreams: ['http://plain:1'], circuitBreaker: false }
+  }, 'test');
+
+  for (let i = 0; i < 10; i++) fail('http://plain:1');
+
+  assert.deepEqual(getCircuitState('http://plain:1'), { state: 'closed', trips: 0 });
+  assert.equal(isCircuitAvailable('http://plain:1'), true);
+});
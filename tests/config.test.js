@@ -0,0 +1,55 @@
+/**
+ * Route Configuration Tests
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateConfig, loadConfig, reloadConfig, getConfigVersion, ConfigValidationError } from '../src/config.js';
+
+const quietly = (fn) => {
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.error = errors;
+  }
+};
+
+test('upstream URLs that are not strings are reported for their route', () => {
+  [42, { host: 'localhost' }, ['http://localhost:3001']].forEach(url => {
+    assert.throws(
+      () => validateConfig({ routes: { '/users': { upstreams: [{ url }] } } }),
+      err => err instanceof ConfigValidationError &&
+        err.errors.some(message => message.startsWith('routes["/users"].upstreams[0].url:'))
+    );
+  });
+});
+
+test('a reload that fails keeps the active version', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+  const filePath = path.join(directory, 'routes.json');
+
+  try {
+    await fs.promises.writeFile(filePath, JSON.stringify({ routes: { '/users': ['http://localhost:3001'] } }));
+    quietly(() => loadConfig(filePath));
+    const { version } = getConfigVersion();
+
+    await fs.promises.writeFile(filePath, JSON.stringify({ routes: { '/users': { upstreams: [{ url: 42 }] } } }));
+    const result = quietly(() => reloadConfig(filePath));
+
+    assert.equal(result.reloaded, false);
+    assert.equal(result.version.version, version);
+    assert.equal(result.errors.length, 1);
+
+    await fs.promises.writeFile(filePath, '{ not json');
+    assert.equal(quietly(() => reloadConfig(filePath)).version.version, version);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
@@ -182,7 +182,7 @@ export async function testAdminEndpoints(token) {
 
     // Test routing table
     const routes = await client.get('/admin/routes');
-    console.log('✓ Routes endpoint: ' + routes.data.length + ' routes configured');
+    console.log('✓ Routes endpoint: ' + routes.data.routes.length + ' routes configured (version ' + routes.data.version + ')');
 
     // Test cache stats
     const cache = await client.get('/admin/cache/stats');
@@ -0,0 +1,124 @@
+/**
+ * Token Introspection Tests
+ * Opaque tokens checked against the stub authorization server
+ * (introspectionServer.js): caching, de-duplication and outages
+ *
+ * Run: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIntrospectionServer } from './introspectionServer.js';
+
+const authorizationServer = createIntrospectionServer('gateway-under-test', 'test-secret');
+let server;
+let introspection;
+let auth;
+
+const post = async (route, body) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+};
+
+const mint = async (claims = {}) => (await post('/tokens', claims)).access_token;
+const calls = () => authorizationServer.stats.introspectionCalls;
+
+// Minimal Express-like request/response pair
+function call(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ passed: false, status: this.statusCode, body }); }
+    };
+    middleware(req, res, () => resolve({ passed: true, req }));
+  });
+}
+
+before(async () => {
+  server = await new Promise(resolve => {
+    const listener = authorizationServer.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  // Introspection settings are read when the module loads
+  process.env.OAUTH_INTROSPECTION_URL = `http://127.0.0.1:${server.address().port}/introspect`;
+  process.env.OAUTH_CLIENT_ID = 'gateway-under-test';
+  process.env.OAUTH_CLIENT_SECRET = 'test-secret';
+
+  introspection = await import('../src/introspection.js');
+  auth = await import('../src/auth.js');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  introspection.clearIntrospectionCache();
+});
+
+test('active tokens are cached', async () => {
+  const token = await mint({ sub: 'alice', scope: 'read write', role: 'admin' });
+  const before = calls();
+
+  const user = await introspection.introspectToken(token);
+  assert.equal(user.userId, 'alice');
+  assert.equal(user.role, 'admin');
+  assert.equal(user.scope, 'read write');
+
+  assert.equal((await introspection.introspectToken(token)).userId, 'alice');
+  assert.equal(calls(), before + 1);
+});
+
+test('inactive tokens are cached too', async () => {
+  const before = calls();
+
+  assert.equal(await introspection.introspectToken('never-issued'), null);
+  assert.equal(await introspection.introspectToken('never-issued'), null);
+  assert.equal(calls(), before + 1);
+  assert.equal(introspection.getIntrospectionStats().cache.negative, 1);
+});
+
+test('a cached token is not used past its exp', async () => {
+  const token = await mint({ sub: 'bob', expiresIn: 1 });
+  const before = calls();
+
+  assert.equal((await introspection.introspectToken(token)).userId, 'bob');
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.equal(await introspection.introspectToken(token), null);
+  assert.equal(calls(), before + 2);
+});
+
+test('concurrent lookups of one token share a request', async () => {
+  const token = await mint({ sub: 'carol' });
+  const before = calls();
+
+  const users = await Promise.all(Array.from({ length: 5 }, () => introspection.introspectToken(token)));
+
+  assert.ok(users.every(user => user.userId === 'carol'));
+  assert.equal(calls(), before + 1);
+});
+
+test('an unavailable authorization server means 503, and is not cached', async () => {
+  const token = await mint({ sub: 'dave' });
+  await post('/fail', { count: 1, status: 503 });
+
+  const errors = console.error;
+  console.error = () => {};
+  let unavailable;
+  try {
+    unavailable = await call(auth.authenticateOAuth2, { headers: { authorization: `Bearer ${token}` } });
+  } finally {
+    console.error = errors;
+  }
+
+  assert.equal(unavailable.status, 503);
+  assert.deepEqual(unavailable.body, { error: 'Token introspection unavailable' });
+
+  // The next request asks again and gets through
+  const recovered = await call(auth.authenticateOAuth2, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(recovered.passed, true);
+  assert.equal(recovered.req.user.userId, 'dave');
+});
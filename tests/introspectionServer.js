@@ -0,0 +1,96 @@
+/**
+ * Test Introspection Endpoint
+ * Stub OAuth2 authorization server (RFC 7662) for trying OAUTH_INTROSPECTION_URL:
+ * mints opaque tokens, answers introspection requests, counts them and can
+ * be told to fail the next ones
+ *
+ * Gateway: OAUTH_INTROSPECTION_URL=http://localhost:3011/introspect
+ *          OAUTH_CLIENT_ID=gateway OAUTH_CLIENT_SECRET=gateway-secret
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.INTROSPECTION_PORT, 10) || 3011;
+const CLIENT_ID = process.env.INTROSPECTION_CLIENT_ID || 'gateway';
+const CLIENT_SECRET = process.env.INTROSPECTION_CLIENT_SECRET || 'gateway-secret';
+
+/**
+ * Build the authorization server app
+ * @returns {Object} { app, tokens, stats }
+ */
+export function createIntrospectionServer(clientId = CLIENT_ID, clientSecret = CLIENT_SECRET) {
+  const tokens = new Map();
+  const stats = { introspectionCalls: 0 };
+  let failures = { count: 0, status: 503 };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Mint an opaque token: POST /tokens { sub, scope, role, client_id, aud, expiresIn }
+   */
+  app.post('/tokens', (req, res) => {
+    const { sub = 'opaque-user', scope = 'read', role = 'user', client_id: tokenClientId = 'test-client', aud = 'api-gateway', expiresIn = 300 } = req.body;
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+
+    tokens.set(token, { sub, scope, role, client_id: tokenClientId, aud, iat: now, exp: now + expiresIn, iss: `http://localhost:${PORT}`, token_type: 'Bearer' });
+    res.json({ access_token: token, expires_in: expiresIn });
+  });
+
+  /**
+   * Revoke a token
+   */
+  app.delete('/tokens/:token', (req, res) => {
+    res.json({ revoked: tokens.delete(req.params.token) });
+  });
+
+  app.post('/introspect', (req, res) => {
+    stats.introspectionCalls++;
+
+    if (failures.count > 0) {
+      failures.count--;
+      return res.status(failures.status).json({ error: 'Failing on request' });
+    }
+
+    const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const claims = tokens.get(req.body.token);
+    if (!claims || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return res.json({ active: false });
+    }
+
+    res.json({ active: true, ...claims });
+  });
+
+  /**
+   * Fail the next introspection requests: POST /fail { count, status }
+   */
+  app.post('/fail', (req, res) => {
+    const { count = 1, status = 503 } = req.body;
+    failures = { count, status };
+    res.json(failures);
+  });
+
+  /**
+   * How many introspection requests were made (to check gateway caching)
+   */
+  app.get('/stats', (req, res) => {
+    res.json({ ...stats, tokens: tokens.size });
+  });
+
+  return { app, tokens, stats };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createIntrospectionServer().app.listen(PORT, () => {
+    console.log(`Test introspection endpoint running on http://localhost:${PORT}/introspect`);
+    console.log(`   Mint: curl -X POST http://localhost:${PORT}/tokens -H "Content-Type: application/json" -d '{"sub": "alice", "scope": "read write"}'`);
+  });
+}
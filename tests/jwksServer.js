@@ -0,0 +1,115 @@
+/**
+ * Test Token Issuer
+ * Local identity provider for trying asymmetric JWT verification: serves a
+ * JWKS with RS256, ES256 and EdDSA keys, mints tokens and rotates keys
+ *
+ * config/issuers.json:
+ *   { "issuers": [{ "issuer": "http://localhost:3010", "audience": "api-gateway",
+ *                   "jwksUri": "http://localhost:3010/.well-known/jwks.json" }] }
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.JWKS_PORT, 10) || 3010;
+const ISSUER = `http://localhost:${PORT}`;
+
+const KEY_TYPES = {
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }),
+  EdDSA: () => crypto.generateKeyPairSync('ed25519')
+};
+const HASHES = { RS256: 'sha256', ES256: 'sha256', EdDSA: null };
+
+function createKey(alg, kid) {
+  const { publicKey, privateKey } = KEY_TYPES[alg]();
+  return { kid, alg, publicKey, privateKey };
+}
+
+function sign({ alg, kid, privateKey }, claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg, typ: 'JWT', kid })}.${encode(claims)}`;
+  const signature = crypto.sign(HASHES[alg], Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Build the issuer app
+ * @param {string} issuer - `iss` of minted tokens
+ * @returns {Object} { app }
+ */
+export function createJwksServer(issuer = ISSUER) {
+  // Current signing key per algorithm, plus keys still published after a rotation
+  let generation = 0;
+  const signingKeys = {};
+  let retiredKeys = [];
+
+  function rotate(alg, keepOld) {
+    const previous = signingKeys[alg];
+    signingKeys[alg] = createKey(alg, `${alg.toLowerCase()}-${++generation}`);
+    if (previous && keepOld) retiredKeys.push(previous);
+    return signingKeys[alg].kid;
+  }
+
+  Object.keys(KEY_TYPES).forEach(alg => rotate(alg));
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/.well-known/jwks.json', (req, res) => {
+    const keys = [...Object.values(signingKeys), ...retiredKeys].map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg,
+      use: 'sig'
+    }));
+    res.json({ keys });
+  });
+
+  /**
+   * Mint a token: POST /token { alg, sub, role, scope, aud, iss, expiresIn, notBefore, kid }
+   */
+  app.post('/token', (req, res) => {
+    const { alg = 'RS256', sub = 'external-user', role = 'user', scope, aud = 'api-gateway', iss = issuer, expiresIn = 300, notBefore = 0 } = req.body;
+    const key = signingKeys[alg];
+
+    if (!key) {
+      return res.status(400).json({ error: `alg must be one of ${Object.keys(KEY_TYPES).join(', ')}` });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { iss, sub, aud, role, ...(scope && { scope }), iat: now, nbf: now + notBefore, exp: now + expiresIn };
+    res.json({ token: sign(req.body.kid ? { ...key, kid: req.body.kid } : key, claims), kid: key.kid });
+  });
+
+  /**
+   * Rotate the signing key for an algorithm: POST /rotate { alg, keepOld }
+   * keepOld=false drops the old key from the JWKS immediately
+   */
+  app.post('/rotate', (req, res) => {
+    const { alg = 'RS256', keepOld = true } = req.body;
+    if (!KEY_TYPES[alg]) {
+      return res.status(400).json({ error: `alg must be one of ${Object.keys(KEY_TYPES).join(', ')}` });
+    }
+    res.json({ kid: rotate(alg, keepOld) });
+  });
+
+  /**
+   * Stop publishing retired keys
+   */
+  app.post('/retire', (req, res) => {
+    retiredKeys = [];
+    res.json({ message: 'Retired keys removed from JWKS' });
+  });
+
+  return { app };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createJwksServer().app.listen(PORT, () => {
+    console.log(`Test token issuer running on ${ISSUER}`);
+    console.log(`   JWKS: ${ISSUER}/.well-known/jwks.json`);
+    console.log(`   Mint: curl -X POST ${ISSUER}/token -H "Content-Type: application/json" -d '{"alg": "ES256", "role": "admin"}'`);
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * JWT Verifier Tests
+ * Tokens from a trusted issuer whose keys come from the stub JWKS server
+ * (jwksServer.js): key rotation, unknown kids, issuer and audience checks
+ *
+ * Run: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJwksServer } from './jwksServer.js';
+
+const ISSUER = 'https://issuer.test';
+const issuerServer = createJwksServer(ISSUER);
+let server;
+let directory;
+let verifier;
+
+const post = async (route, body) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+};
+
+const mint = async (claims = {}) => (await post('/token', claims)).token;
+
+const rejectsWith = (token, message) => assert.rejects(
+  verifier.verifyJwt(token, 'unused-secret'),
+  err => err instanceof verifier.JwtVerificationError && message.test(err.message)
+);
+
+before(async () => {
+  server = await new Promise(resolve => {
+    const listener = issuerServer.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  // Refetch on an unknown kid right away instead of once every 30s
+  process.env.JWKS_MIN_REFETCH_INTERVAL = '1';
+  verifier = await import('../src/jwtVerifier.js');
+
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'issuers-'));
+  const filePath = path.join(directory, 'issuers.json');
+  await fs.promises.writeFile(filePath, JSON.stringify({
+    issuers: [{
+      issuer: ISSUER,
+      audience: 'api-gateway',
+      jwksUri: `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`
+    }]
+  }));
+  await verifier.initJwtVerifier(filePath);
+});
+
+after(async () => {
+  server.close();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('tokens signed with the published keys verify', async () => {
+  for (const alg of ['RS256', 'ES256', 'EdDSA']) {
+    const claims = await verifier.verifyJwt(await mint({ alg, sub: 'alice', role: 'admin' }), 'unused-secret');
+    assert.equal(claims.iss, ISSUER);
+    assert.equal(claims.userId, 'alice');
+    assert.equal(claims.role, 'admin');
+  }
+});
+
+test('a rotated key is picked up, and the old one overlaps', async () => {
+  const oldToken = await mint({ alg: 'RS256' });
+  const { kid } = await post('/rotate', { alg: 'RS256', keepOld: false });
+
+  // Unknown kid: refetched on demand, without waiting for the background refresh
+  const newToken = await mint({ alg: 'RS256' });
+  assert.equal(JSON.parse(Buffer.from(newToken.split('.')[0], 'base64url')).kid, kid);
+  await verifier.verifyJwt(newToken, 'unused-secret');
+
+  // The old key is gone from the JWKS but stays usable for JWKS_KEY_OVERLAP
+  await verifier.verifyJwt(oldToken, 'unused-secret');
+  assert.ok(verifier.getJwtIssuers()[0].keys.keys.includes(kid));
+});
+
+test('an unknown kid is rejected', async () => {
+  await rejectsWith(await mint({ alg: 'ES256', kid: 'not-published' }), /No ES256 key "not-published"/);
+});
+
+test('a wrong issuer or audience is rejected', async () => {
+  await rejectsWith(await mint({ iss: 'https://other-issuer.test' }), /Untrusted issuer/);
+  await rejectsWith(await mint({ aud: 'another-api' }), /Audience mismatch/);
+});
@@ -0,0 +1,79 @@
+/**
+ * Test OTLP Collector
+ * Stub OpenTelemetry collector (OTLP/HTTP JSON) for trying trace export:
+ * keeps received spans, groups them by trace and can reject exports
+ *
+ * Gateway: OTEL_EXPORTER_OTLP_ENDPOINT=http://localhost:4318
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.OTLP_COLLECTOR_PORT, 10) || 4318;
+
+/**
+ * Build the collector app
+ * @returns {Object} { app, spans, requests }
+ */
+export function createOtlpCollector() {
+  // Flattened spans with their resource's service.name; requests as received
+  const spans = [];
+  const requests = [];
+  let failures = { count: 0, status: 503 };
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.post('/v1/traces', (req, res) => {
+    requests.push(req.body);
+
+    if (failures.count > 0) {
+      failures.count--;
+      return res.status(failures.status).json({ error: 'Failing on request' });
+    }
+
+    (req.body.resourceSpans || []).forEach(({ resource, scopeSpans = [] }) => {
+      const serviceName = ((resource && resource.attributes) || [])
+        .find(attribute => attribute.key === 'service.name');
+
+      scopeSpans.forEach(({ spans: received = [] }) => {
+        received.forEach(span => spans.push({ serviceName: serviceName ? serviceName.value.stringValue : null, ...span }));
+      });
+    });
+
+    res.json({ partialSuccess: {} });
+  });
+
+  /**
+   * Reject the next exports: POST /fail { count, status }
+   */
+  app.post('/fail', (req, res) => {
+    const { count = 1, status = 503 } = req.body;
+    failures = { count, status };
+    res.json(failures);
+  });
+
+  app.get('/spans', (req, res) => {
+    res.json(spans);
+  });
+
+  app.get('/traces/:traceId', (req, res) => {
+    res.json(spans.filter(span => span.traceId === req.params.traceId));
+  });
+
+  app.delete('/spans', (req, res) => {
+    spans.length = 0;
+    requests.length = 0;
+    failures = { count: 0, status: 503 };
+    res.json({ cleared: true });
+  });
+
+  return { app, spans, requests };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createOtlpCollector().app.listen(PORT, () => {
+    console.log(`Test OTLP collector running on http://localhost:${PORT}/v1/traces`);
+    console.log(`   Spans of a trace: curl http://localhost:${PORT}/traces/<X-Trace-Id>`);
+  });
+}
@@ -0,0 +1,170 @@
+/**
+ * Rate Limiter Tests
+ * Memory store, Redis store (against a scripted client) and fail-open
+ * behaviour when the store errors or stops answering
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  setRateLimitStore,
+  rateLimiter,
+  routeRateLimiter,
+  routeUserRateLimiter
+} from '../src/rateLimiter.js';
+import { loadConfig } from '../src/config.js';
+
+// Minimal Express-like request/response pair
+function call(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ passed: false, status: this.statusCode, body, req }); }
+    };
+    middleware(req, res, () => resolve({ passed: true, headers: res.headers, req }));
+  });
+}
+
+test('memory sliding window allows up to the limit', async () => {
+  const store = createMemoryRateLimitStore();
+
+  for (let i = 1; i <= 3; i++) {
+    const result = await store.slidingWindow('ip:a', 3, 60000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 3 - i);
+  }
+
+  const rejected = await store.slidingWindow('ip:a', 3, 60000);
+  assert.equal(rejected.allowed, false);
+  assert.ok(rejected.retryAfterMs > 0);
+});
+
+test('memory store records several windows only when all allow', async () => {
+  const store = createMemoryRateLimitStore();
+  await store.slidingWindow('user:u1', 1, 60000);
+
+  const result = await store.slidingWindowAll([{ key: 'ip:a', limit: 5 }, { key: 'user:u1', limit: 1 }], 60000);
+  assert.equal(result.allowed, false);
+  assert.equal(result.results[0].allowed, true);
+  assert.equal(result.results[1].allowed, false);
+
+  // The rejected request did not count against the IP window
+  const ip = await store.slidingWindow('ip:a', 5, 60000);
+  assert.equal(ip.count, 1);
+});
+
+test('memory token bucket refuses once empty', async () => {
+  const store = createMemoryRateLimitStore();
+
+  assert.equal((await store.tokenBucket('tb', 2, 0)).allowed, true);
+  assert.equal((await store.tokenBucket('tb', 2, 0)).allowed, true);
+  assert.equal((await store.tokenBucket('tb', 2, 0)).allowed, false);
+});
+
+test('user rejection does not use up the IP limit', async () => {
+  setRateLimitStore(createMemoryRateLimitStore());
+  const limiter = rateLimiter(2, 1, 60000);
+  const req = () => ({ ip: '10.0.0.1', user: { userId: 'u1' } });
+
+  assert.equal((await call(limiter, req())).passed, true);
+
+  const rejected = await call(limiter, req());
+  assert.equal(rejected.status, 429);
+  assert.equal(rejected.body.error, 'User rate limit exceeded');
+
+  // Another user from the same IP still has one request left
+  const other = await call(limiter, { ip: '10.0.0.1', user: { userId: 'u2' } });
+  assert.equal(other.passed, true);
+  assert.equal(other.headers['X-RateLimit-Remaining'], 0);
+});
+
+test('route user window applies to authenticated requests', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+  const filePath = path.join(directory, 'routes.json');
+
+  try {
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      routes: { '/users': { upstreams: ['http://localhost:3001'], rateLimit: { ip: 10, user: 2, windowMs: 60000 } } }
+    }));
+    loadConfig(filePath);
+    setRateLimitStore(createMemoryRateLimitStore());
+
+    const ipLimiter = routeRateLimiter();
+    const userLimiter = routeUserRateLimiter();
+    const request = async (user) => {
+      const req = { ip: '10.0.0.3', path: '/users/1' };
+      const ip = await call(ipLimiter, req);
+      if (!ip.passed) return ip;
+      req.user = user;
+      return call(userLimiter, req);
+    };
+
+    assert.equal((await request({ userId: 'u1' })).passed, true);
+    assert.equal((await request({ userId: 'u1' })).passed, true);
+
+    const rejected = await request({ userId: 'u1' });
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.body.error, 'User rate limit exceeded');
+    assert.deepEqual(rejected.req.rateLimit, { decision: 'rejected', limit: 'user' });
+
+    // Other users and anonymous requests from the same IP are not affected
+    assert.equal((await request({ userId: 'u2' })).passed, true);
+    assert.equal((await request(undefined)).passed, true);
+  } finally {
+    setRateLimitStore(createMemoryRateLimitStore());
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('redis store sends all windows in one script call', async () => {
+  const calls = [];
+  const client = {
+    async eval(script, options) {
+      calls.push(options);
+      return [0, 2, 0, 1, 1500];
+    }
+  };
+  const store = createRedisRateLimitStore(client, { prefix: 't:' });
+
+  const result = await store.slidingWindowAll([{ key: 'ip:a', limit: 5 }, { key: 'user:u1', limit: 1 }], 60000);
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].keys, ['t:sw:ip:a', 't:sw:user:u1']);
+  assert.deepEqual(calls[0].arguments.filter((arg, i) => i !== 1), ['60000', '5', '1']);
+  assert.equal(result.allowed, false);
+  assert.equal(result.results[0].allowed, true);
+  assert.equal(result.results[1].allowed, false);
+  assert.equal(result.results[1].retryAfterMs, 1500);
+});
+
+test('redis store gives up after the timeout', async () => {
+  const client = { eval: () => new Promise(() => {}) };
+  const store = createRedisRateLimitStore(client, { timeoutMs: 50 });
+
+  await assert.rejects(store.slidingWindow('ip:a', 5, 60000), /did not answer within 50ms/);
+});
+
+test('requests pass when the store fails', async () => {
+  const errors = console.error;
+  console.error = () => {};
+
+  try {
+    setRateLimitStore(createRedisRateLimitStore({ eval: async () => { throw new Error('The client is closed'); } }));
+    assert.equal((await call(rateLimiter(1, 1, 60000), { ip: '10.0.0.2' })).passed, true);
+
+    setRateLimitStore(createRedisRateLimitStore({ eval: () => new Promise(() => {}) }, { timeoutMs: 50 }));
+    assert.equal((await call(rateLimiter(1, 1, 60000), { ip: '10.0.0.2' })).passed, true);
+  } finally {
+    console.error = errors;
+    setRateLimitStore(createMemoryRateLimitStore());
+  }
+});
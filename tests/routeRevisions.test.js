@@ -0,0 +1,52 @@
+/**
+ * Route Revision Store Tests
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileRevisionStore } from '../src/routeRevisions.js';
+
+test('concurrent appends get unique revision numbers', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'revisions-'));
+  const filePath = path.join(directory, 'route-revisions.json');
+
+  try {
+    const store = createFileRevisionStore(filePath);
+    const entries = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => store.append({ action: 'update', path: `/r${i}`, routes: {} }))
+    );
+
+    assert.deepEqual(entries.map(entry => entry.revision), Array.from({ length: 20 }, (_, i) => i + 1));
+
+    const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    assert.equal(saved.length, 20);
+    assert.deepEqual(await fs.promises.readdir(directory), ['route-revisions.json']);
+
+    // A fresh store continues the numbering from the file
+    const reopened = createFileRevisionStore(filePath);
+    assert.equal((await reopened.append({ action: 'update', routes: {} })).revision, 21);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('a failed append does not block later ones', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'revisions-'));
+  const filePath = path.join(directory, 'route-revisions.json');
+
+  try {
+    const store = createFileRevisionStore(filePath);
+    const circular = { action: 'update' };
+    circular.routes = circular;
+
+    await assert.rejects(store.append(circular));
+    assert.equal((await store.append({ action: 'update', routes: {} })).revision, 1);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
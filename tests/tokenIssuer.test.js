@@ -0,0 +1,67 @@
+/**
+ * Token Issuer Tests
+ * Password and refresh_token grants against an in-memory user store
+ *
+ * Run: npm test
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { issueToken, TokenError } from '../src/tokenIssuer.js';
+import { setUserStore, hashSecret } from '../src/userStore.js';
+
+const users = new Map();
+
+before(async () => {
+  setUserStore({
+    type: 'test',
+    async findUser(username) { return users.get(username) || null; },
+    async findClient() { return null; }
+  });
+});
+
+const addUser = async (username, fields = {}) => {
+  users.set(username, { username, passwordHash: await hashSecret('secret'), role: 'user', scopes: [], ...fields });
+};
+
+const login = (username, scope) => issueToken({ grant_type: 'password', username, password: 'secret', scope });
+const refresh = (token) => issueToken({ grant_type: 'refresh_token', refresh_token: token });
+
+test('refresh takes the role from the current user record', async () => {
+  await addUser('carol', { role: 'admin' });
+  const { refresh_token: refreshToken } = await login('carol');
+
+  users.get('carol').role = 'user';
+  const refreshed = await refresh(refreshToken);
+
+  assert.equal(jwt.decode(refreshed.access_token).role, 'user');
+});
+
+test('refresh keeps the session narrowed to the granted scopes', async () => {
+  await addUser('dave', { scopes: ['orders:read', 'orders:write'] });
+  const { refresh_token: refreshToken } = await login('dave', 'orders:read');
+
+  users.get('dave').scopes = ['orders:write'];
+  const refreshed = await refresh(refreshToken);
+
+  assert.equal(refreshed.scope, undefined);
+  assert.equal(jwt.decode(refreshed.access_token).scope, undefined);
+});
+
+test('refresh is refused and the session revoked once the user is disabled', async () => {
+  await addUser('erin');
+  const { refresh_token: refreshToken } = await login('erin');
+  const { refresh_token: rotated } = await refresh(refreshToken);
+
+  users.get('erin').disabled = true;
+  await assert.rejects(refresh(rotated), err => err instanceof TokenError && err.code === 'invalid_grant');
+});
+
+test('refresh is refused once the user is removed', async () => {
+  await addUser('frank');
+  const { refresh_token: refreshToken } = await login('frank');
+
+  users.delete('frank');
+  await assert.rejects(refresh(refreshToken), err => err instanceof TokenError && err.code === 'invalid_grant');
+});
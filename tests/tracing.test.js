@@ -0,0 +1,118 @@
+/**
+ * Tracing Tests
+ * traceparent handling and OTLP/HTTP export to the stub collector (otlpCollector.js)
+ *
+ * Run: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOtlpCollector } from './otlpCollector.js';
+
+const collector = createOtlpCollector();
+let server;
+let tracing;
+
+// Just enough of a request for startSpan
+const requestInTrace = (traceparent) => {
+  const incoming = tracing.parseTraceparent(traceparent);
+  return { trace: { traceId: incoming.traceId, parentSpanId: incoming.parentSpanId, sampled: incoming.sampled } };
+};
+
+const attribute = (span, key) => {
+  const found = span.attributes.find(entry => entry.key === key);
+  return found ? found.value : undefined;
+};
+
+before(async () => {
+  server = await new Promise(resolve => {
+    const listener = collector.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  // Exporter settings are read when the module loads
+  process.env.OTEL_EXPORTER_OTLP_ENDPOINT = `http://127.0.0.1:${server.address().port}/`;
+  process.env.OTEL_SERVICE_NAME = 'gateway-under-test';
+
+  tracing = await import('../src/tracing.js');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  collector.spans.length = 0;
+  collector.requests.length = 0;
+});
+
+test('parseTraceparent accepts valid headers only', () => {
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+  assert.deepEqual(tracing.parseTraceparent(`00-${traceId}-00f067aa0ba902b7-01`), {
+    traceId, parentSpanId: '00f067aa0ba902b7', sampled: true
+  });
+  assert.equal(tracing.parseTraceparent(`00-${traceId}-00f067aa0ba902b7-00`).sampled, false);
+  assert.equal(tracing.parseTraceparent(`ff-${traceId}-00f067aa0ba902b7-01`), null);
+  assert.equal(tracing.parseTraceparent(`00-${'0'.repeat(32)}-00f067aa0ba902b7-01`), null);
+  assert.equal(tracing.parseTraceparent('garbage'), null);
+  assert.equal(tracing.parseTraceparent(undefined), null);
+});
+
+test('finished spans are exported as OTLP JSON', async () => {
+  const req = requestInTrace('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+  const span = tracing.startSpan(req, 'proxy /users', {
+    kind: tracing.SPAN_KIND.CLIENT,
+    attributes: { 'server.address': 'http://localhost:3001', 'gateway.attempt': 1 }
+  });
+  tracing.endSpan(span, { attributes: { 'http.response.status_code': 502 }, error: 'HTTP 502' });
+
+  await tracing.flushSpans();
+
+  assert.equal(collector.spans.length, 1);
+  const [exported] = collector.spans;
+  assert.equal(exported.serviceName, 'gateway-under-test');
+  assert.equal(exported.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+  assert.equal(exported.parentSpanId, '00f067aa0ba902b7');
+  assert.equal(exported.spanId, span.spanId);
+  assert.equal(exported.name, 'proxy /users');
+  assert.equal(exported.kind, tracing.SPAN_KIND.CLIENT);
+  assert.ok(BigInt(exported.endTimeUnixNano) >= BigInt(exported.startTimeUnixNano));
+  assert.deepEqual(attribute(exported, 'server.address'), { stringValue: 'http://localhost:3001' });
+  assert.deepEqual(attribute(exported, 'gateway.attempt'), { intValue: '1' });
+  assert.deepEqual(attribute(exported, 'http.response.status_code'), { intValue: '502' });
+  assert.deepEqual(exported.status, { code: 2, message: 'HTTP 502' });
+  assert.equal(tracing.getTracingStats().queued, 0);
+});
+
+test('unsampled traces are not exported', async () => {
+  const span = tracing.startSpan(requestInTrace('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00'), 'cache');
+  tracing.endSpan(span);
+
+  await tracing.flushSpans();
+
+  assert.equal(collector.requests.length, 0);
+});
+
+test('rejected exports are counted as failed', async () => {
+  const { failed } = tracing.getTracingStats();
+  await fetch(`http://127.0.0.1:${server.address().port}/fail`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ count: 1, status: 503 })
+  });
+
+  const span = tracing.startSpan(requestInTrace('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), 'auth');
+  tracing.endSpan(span);
+
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    await tracing.flushSpans();
+  } finally {
+    console.error = errors;
+  }
+
+  const stats = tracing.getTracingStats();
+  assert.equal(stats.failed, failed + 1);
+  assert.match(stats.lastError, /503/);
+  assert.equal(collector.requests.length, 1);
+  assert.equal(collector.spans.length, 0);
+});
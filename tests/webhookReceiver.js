@@ -0,0 +1,80 @@
+/**
+ * Test Webhook Receiver
+ * Stub endpoint for trying WEBHOOK_URLS: checks signatures, records
+ * deliveries and can be told to fail the next ones to exercise retries
+ *
+ * Gateway: WEBHOOK_URLS=http://localhost:3012/hooks WEBHOOK_SECRET=webhook-secret
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 3012;
+const SECRET = process.env.WEBHOOK_RECEIVER_SECRET || 'webhook-secret';
+
+/**
+ * Build the receiver app
+ * @returns {Object} { app, deliveries }
+ */
+export function createWebhookReceiver(secret = SECRET) {
+  const deliveries = [];
+  let failures = { count: 0, status: 503 };
+
+  const app = express();
+  // Signatures cover the exact bytes that were sent
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
+
+  app.post('/hooks', (req, res) => {
+    const timestamp = req.headers['x-gateway-timestamp'];
+    const signature = req.headers['x-gateway-signature'] || null;
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${req.rawBody}`).digest('hex')}`;
+    const failing = failures.count > 0;
+
+    deliveries.push({
+      delivery: req.headers['x-gateway-delivery'],
+      event: req.headers['x-gateway-event'],
+      timestamp: Number(timestamp),
+      signature,
+      validSignature: signature !== null && signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)),
+      status: failing ? failures.status : 200,
+      body: req.body
+    });
+
+    if (failing) {
+      failures.count--;
+      return res.status(failures.status).json({ error: 'Failing on request' });
+    }
+    res.json({ received: true });
+  });
+
+  /**
+   * Fail the next deliveries: POST /fail { count, status }
+   */
+  app.post('/fail', (req, res) => {
+    const { count = 1, status = 503 } = req.body;
+    failures = { count, status };
+    res.json(failures);
+  });
+
+  app.get('/deliveries', (req, res) => {
+    res.json(deliveries);
+  });
+
+  app.delete('/deliveries', (req, res) => {
+    deliveries.length = 0;
+    failures = { count: 0, status: 503 };
+    res.json({ cleared: true });
+  });
+
+  return { app, deliveries };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createWebhookReceiver().app.listen(PORT, () => {
+    console.log(`Test webhook receiver running on http://localhost:${PORT}/hooks (secret: ${SECRET})`);
+    console.log(`   Fail the next 2: curl -X POST http://localhost:${PORT}/fail -H "Content-Type: application/json" -d '{"count": 2, "status": 503}'`);
+    console.log(`   Deliveries:      curl http://localhost:${PORT}/deliveries`);
+  });
+}
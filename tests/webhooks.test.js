@@ -0,0 +1,123 @@
+/**
+ * Webhook Delivery Tests
+ * Signed deliveries to the stub receiver (webhookReceiver.js), retries
+ * with backoff and giving up on client errors
+ *
+ * Run: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createWebhookReceiver } from './webhookReceiver.js';
+import { emitGatewayEvent } from '../src/events.js';
+
+const SECRET = 'test-webhook-secret';
+const receiver = createWebhookReceiver(SECRET);
+let server;
+let webhooks;
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for webhook deliveries');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const targetStats = () => webhooks.getWebhookStatus().targets[0];
+
+// Ask the receiver to answer the next `count` deliveries with `status`
+const failNext = (count, status) => fetch(`http://127.0.0.1:${server.address().port}/fail`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ count, status })
+});
+
+const quietly = async (fn) => {
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    await fn();
+  } finally {
+    console.error = errors;
+  }
+};
+
+before(async () => {
+  server = await new Promise(resolve => {
+    const listener = receiver.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  // Webhook settings are read when the module loads
+  process.env.WEBHOOK_URLS = `http://127.0.0.1:${server.address().port}/hooks`;
+  process.env.WEBHOOK_SECRET = SECRET;
+  process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+  process.env.WEBHOOK_BACKOFF_MS = '10';
+
+  webhooks = await import('../src/webhooks.js');
+  webhooks.initWebhooks();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  receiver.deliveries.length = 0;
+});
+
+test('signPayload is HMAC-SHA256 over timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(webhooks.signPayload('{"a":1}', 1700000000, 'secret'), expected);
+});
+
+test('events are delivered signed', async () => {
+  const { delivered } = targetStats();
+  const event = emitGatewayEvent('service.unhealthy', { service: 'http://localhost:3001' });
+
+  await waitFor(() => receiver.deliveries.length === 1 && targetStats().delivered === delivered + 1);
+
+  const [delivery] = receiver.deliveries;
+  assert.equal(delivery.event, 'service.unhealthy');
+  assert.equal(delivery.validSignature, true);
+  assert.equal(delivery.body.id, event.id);
+  assert.deepEqual(delivery.body.data, { service: 'http://localhost:3001' });
+});
+
+test('failed deliveries are retried with the same delivery id', async () => {
+  const { delivered } = targetStats();
+  await failNext(2, 503);
+
+  emitGatewayEvent('circuit.open', { service: 'http://localhost:3002' });
+  await waitFor(() => targetStats().delivered === delivered + 1);
+
+  assert.deepEqual(receiver.deliveries.map(delivery => delivery.status), [503, 503, 200]);
+  assert.equal(new Set(receiver.deliveries.map(delivery => delivery.delivery)).size, 1);
+  assert.ok(receiver.deliveries.every(delivery => delivery.validSignature));
+});
+
+test('client errors are not retried', async () => {
+  const { failed } = targetStats();
+  await failNext(1, 400);
+
+  await quietly(async () => {
+    emitGatewayEvent('circuit.open', { service: 'http://localhost:3003' });
+    await waitFor(() => targetStats().failed === failed + 1);
+  });
+
+  // Give a (wrong) retry the chance to show up
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(receiver.deliveries.length, 1);
+  assert.equal(targetStats().lastError, 'HTTP 400');
+});
+
+test('delivery gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+  const { failed } = targetStats();
+  await failNext(5, 500);
+
+  await quietly(async () => {
+    emitGatewayEvent('circuit.open', { service: 'http://localhost:3004' });
+    await waitFor(() => targetStats().failed === failed + 1);
+  });
+
+  assert.equal(receiver.deliveries.length, 3);
+});